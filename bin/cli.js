@@ -4,48 +4,174 @@ const { program } = require('commander');
 const chalk = require('chalk');
 const figlet = require('figlet');
 const packageInfo = require('../package.json');
-const { deployProject } = require('../lib/deploy');
-const { configManager } = require('../lib/config');
-const { showStatus, showLogs } = require('../lib/utils');
+const { deployProject, listDeployFiles } = require('../lib/deploy');
+const { configManager, listEnvironments } = require('../lib/config');
+const { rollbackProject } = require('../lib/rollback');
+const { showHistory } = require('../lib/history');
+const { unlockEnvironment } = require('../lib/lock');
+const { showStatus, showLogs, showBackups } = require('../lib/utils');
+const { configureLogger } = require('../lib/logger');
+const { EXIT_CODES, detectNonInteractive, setNonInteractive, getExitCode } = require('../lib/ci');
 
-// 显示欢迎信息
-console.log(chalk.cyan(figlet.textSync('Deploy CLI', { horizontalLayout: 'full' })));
-console.log(chalk.yellow(`v${packageInfo.version} - 自动化部署工具\n`));
+const argv = process.argv.slice(2);
+const nonInteractive = detectNonInteractive({
+  ci: argv.includes('--ci'),
+  yes: argv.includes('--yes') || argv.includes('-y'),
+  // JSON 输出供脚本解析，不能等待确认输入
+  json: argv.includes('--json')
+});
+
+// 显示欢迎信息（非交互模式、JSON 输出和 --quiet 时不显示）
+if (!nonInteractive && !['--json', '--quiet', '-q'].some(flag => argv.includes(flag))) {
+  console.log(chalk.cyan(figlet.textSync('Deploy CLI', { horizontalLayout: 'full' })));
+  console.log(chalk.yellow(`v${packageInfo.version} - 自动化部署工具\n`));
+}
 
 // 基础配置
 program
   .name('deploy-cli')
   .description('🚀 自动化部署命令行工具')
-  .version(packageInfo.version);
+  .version(packageInfo.version)
+  .option('--verbose', '输出调试信息（执行的命令及其输出）')
+  .option('-q, --quiet', '只输出警告和错误')
+  .option('--ci', '非交互模式：不提示确认，不显示横幅和进度动画（--json、CI=true 或标准输入不是终端时自动启用）')
+  .option('-y, --yes', '同 --ci，所有确认视为同意')
+  .addHelpText('after', `
+退出码:
+  0  成功
+  ${EXIT_CODES.FAILURE}  其他错误
+  ${EXIT_CODES.CONFIG}  配置错误
+  ${EXIT_CODES.CONNECTION}  服务器连接失败
+  ${EXIT_CODES.BUILD}  构建或依赖安装失败
+  ${EXIT_CODES.HEALTH_CHECK}  健康检查失败
+  ${EXIT_CODES.CANCELLED}  部署已取消`)
+  .hook('preAction', (thisCommand, actionCommand) => {
+    setNonInteractive(nonInteractive);
+    configureLogger({
+      ...program.opts(),
+      interactive: !nonInteractive,
+      json: Boolean(actionCommand.opts().json)
+    });
+  });
 
 // 部署命令
 program
   .command('deploy')
   .description('部署项目到指定环境')
-  .option('-e, --env <environment>', '部署环境 (development/staging/production)', 'staging')
+  .option('-e, --env <environment>', '部署环境（项目配置或 config.yml 中的环境名称）', 'staging')
   .option('-b, --branch <branch>', 'Git分支', 'main')
+  .option('-s, --server <name>', '只部署环境中的这台服务器（按名称精确匹配）')
   .option('-f, --force', '强制部署（跳过确认）')
-  .option('-d, --dry-run', '模拟部署（不实际执行）')
+  .option('-d, --dry-run', '模拟部署：只读检查服务器并输出部署计划（不实际执行）')
+  .option('--json', '以 JSON 输出：部署时每行一个事件（NDJSON），最后一行为结果；配合 --dry-run 时输出部署计划')
+  .option('--full', '完整上传所有文件（忽略增量部署）')
+  .option('--list-files', '列出将要上传的文件（不执行部署）')
   .action(async (options) => {
     try {
+      if (options.listFiles) {
+        await listDeployFiles(options);
+        return;
+      }
       await deployProject(options);
     } catch (error) {
       console.error(chalk.red('❌ 部署失败:'), error.message);
-      process.exit(1);
+      process.exit(getExitCode(error));
     }
   });
 
-// 配置管理命令
+// 回滚命令
+program
+  .command('rollback')
+  .description('回滚到之前的备份或版本')
+  .option('-e, --env <environment>', '环境名称', 'staging')
+  .option('-s, --server <name>', '只回滚环境中的这台服务器（默认依次回滚全部服务器）')
+  .option('-t, --to <id>', '回滚目标的备份/版本ID或提交（不指定则交互选择）')
+  .option('-f, --force', '跳过确认')
+  .action(async (options) => {
+    try {
+      await rollbackProject(options);
+    } catch (error) {
+      console.error(chalk.red('❌ 回滚失败:'), error.message);
+      process.exit(getExitCode(error));
+    }
+  });
+
+// 解除部署锁命令
 program
+  .command('unlock')
+  .description('解除服务器上的部署锁（部署进程异常退出后使用）')
+  .option('-e, --env <environment>', '环境名称', 'staging')
+  .option('-f, --force', '跳过确认')
+  .action(async (options) => {
+    try {
+      await unlockEnvironment(options);
+    } catch (error) {
+      console.error(chalk.red('❌ 解除部署锁失败:'), error.message);
+      process.exit(getExitCode(error));
+    }
+  });
+
+// 备份管理命令
+program
+  .command('backups')
+  .description('查看服务器上的备份')
+  .option('-e, --env <environment>', '环境名称', 'staging')
+  .option('-s, --server <name>', '只查看环境中的这台服务器（默认全部服务器）')
+  .option('-p, --prune', '清理超出保留数量的旧备份')
+  .action(async (options) => {
+    try {
+      await showBackups(options);
+    } catch (error) {
+      console.error(chalk.red('❌ 备份操作失败:'), error.message);
+      process.exit(getExitCode(error));
+    }
+  });
+
+// 部署历史命令
+program
+  .command('history')
+  .description('查看部署历史')
+  .option('-e, --env <environment>', '环境名称（不指定则显示全部环境）')
+  .option('-n, --limit <number>', '显示条数', '20')
+  .option('-r, --remote', '读取服务器上的部署历史（合并环境中各服务器的记录）')
+  .option('-s, --server <name>', '配合 --remote，只读取这台服务器上的记录')
+  .option('--json', '以 JSON 格式输出')
+  .action(async (options) => {
+    try {
+      await showHistory(options);
+    } catch (error) {
+      console.error(chalk.red('❌ 获取部署历史失败:'), error.message);
+      process.exit(getExitCode(error));
+    }
+  });
+
+// 配置管理命令
+const configCommand = program
   .command('config')
   .description('管理部署配置')
   .option('-a, --add-server <name>', '添加服务器配置')
   .option('-l, --list', '列出所有配置')
   .option('-r, --remove <name>', '删除服务器配置')
   .option('-i, --init', '初始化配置文件')
+  .option('--set-secret <name>', '设置保险库中的密钥（已存在时覆盖）')
+  .option('--value <value>', '与 --set-secret 一起使用的密钥值（不指定则交互输入）')
+  .option('--remove-secret <name>', '删除保险库中的密钥')
+  .option('--list-secrets', '列出保险库中的密钥名称')
+  .option('--rotate-key', '更换保险库主密码')
+  .option('--migrate-secrets', '将 servers.yml 中的明文凭据加密到保险库')
   .action(async (options) => {
     try {
-      if (options.addServer) {
+      if (options.setSecret) {
+        await configManager.setSecret(options.setSecret, options.value);
+      } else if (options.removeSecret) {
+        await configManager.removeSecret(options.removeSecret);
+      } else if (options.listSecrets) {
+        await configManager.listSecrets();
+      } else if (options.rotateKey) {
+        await configManager.rotateSecretKey();
+      } else if (options.migrateSecrets) {
+        await configManager.migrateSecrets();
+      } else if (options.addServer) {
         await configManager.addServer(options.addServer);
       } else if (options.list) {
         await configManager.listConfigs();
@@ -58,7 +184,21 @@ program
       }
     } catch (error) {
       console.error(chalk.red('❌ 配置操作失败:'), error.message);
-      process.exit(1);
+      process.exit(getExitCode(error));
+    }
+  });
+
+// 配置校验命令
+configCommand
+  .command('validate')
+  .description('校验配置文件（必填字段、类型、端口、服务器路径、私钥文件和未知字段）')
+  .option('-e, --env <environment>', '只校验该环境（不指定则校验全部配置）')
+  .action(async (options) => {
+    try {
+      await configManager.validateConfig(options.env);
+    } catch (error) {
+      console.error(chalk.red('❌ 配置校验失败:'), error.message);
+      process.exit(getExitCode(error));
     }
   });
 
@@ -67,11 +207,14 @@ program
   .command('status')
   .description('查看部署状态')
   .option('-e, --env <environment>', '环境名称', 'staging')
+  .option('-s, --server <name>', '查看环境中的这台服务器（默认第一台）')
+  .option('--json', '以 JSON 格式输出')
   .action(async (options) => {
     try {
-      await showStatus(options.env);
+      await showStatus(options.env, options);
     } catch (error) {
       console.error(chalk.red('❌ 获取状态失败:'), error.message);
+      process.exit(getExitCode(error));
     }
   });
 
@@ -80,6 +223,7 @@ program
   .command('logs')
   .description('查看应用日志')
   .option('-e, --env <environment>', '环境名称', 'staging')
+  .option('-s, --server <name>', '查看环境中的这台服务器（默认第一台）')
   .option('-n, --lines <number>', '日志行数', '50')
   .option('-f, --follow', '实时跟踪日志')
   .action(async (options) => {
@@ -87,6 +231,7 @@ program
       await showLogs(options);
     } catch (error) {
       console.error(chalk.red('❌ 获取日志失败:'), error.message);
+      process.exit(getExitCode(error));
     }
   });
 
@@ -95,15 +240,26 @@ program
   .command('quick')
   .description('快速交互式部署')
   .action(async () => {
+    if (nonInteractive) {
+      console.error(chalk.red('❌ quick 为交互式命令，非交互模式下请使用 deploy -e <env>'));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+    
     const inquirer = require('inquirer');
     
+    const environments = await listEnvironments();
+    if (environments.length === 0) {
+      console.error(chalk.red('❌ 没有已配置的环境，请先运行 deploy-cli config --init 或在项目根目录创建 deploy.config.js'));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+    
     const answers = await inquirer.prompt([
       {
         type: 'list',
         name: 'env',
         message: '选择部署环境:',
-        choices: ['development', 'staging', 'production'],
-        default: 'staging'
+        choices: environments,
+        default: environments.includes('staging') ? 'staging' : environments[0]
       },
       {
         type: 'input',
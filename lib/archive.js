@@ -0,0 +1,201 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const chalk = require('chalk');
+const { hashFile, listLocalFiles } = require('./manifest');
+const logger = require('./logger');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * 写入 tar 头中的字符串字段
+ */
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+/**
+ * 写入 tar 头中的八进制数字字段
+ */
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+/**
+ * 生成 ustar 文件头
+ */
+function createHeader({ name, prefix = '', size, mode, mtime, type = '0' }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeString(header, name, 0, 100);
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.fill(' ', 148, 156);
+  writeString(header, type, 156, 1);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  writeString(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+}
+
+/**
+ * 补齐到 512 字节块
+ */
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder === 0 ? Buffer.alloc(0) : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+/**
+ * 生成文件的 tar 头；路径过长时拆分到 prefix 字段，仍放不下则使用 pax 扩展头
+ */
+function createFileHeaders(name, stat) {
+  const fields = {
+    size: stat.size,
+    mode: stat.mode & 0o777,
+    mtime: Math.floor(stat.mtimeMs / 1000)
+  };
+
+  if (Buffer.byteLength(name) <= 100) {
+    return [createHeader({ name, ...fields })];
+  }
+
+  const slash = name.lastIndexOf('/', name.length - 2);
+  const prefix = name.slice(0, slash);
+  const shortName = name.slice(slash + 1);
+  if (slash > 0 && Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(shortName) <= 100) {
+    return [createHeader({ name: shortName, prefix, ...fields })];
+  }
+
+  // pax 记录格式为 "<长度> path=<路径>\n"，长度包含自身
+  const record = ` path=${name}\n`;
+  let length = Buffer.byteLength(record) + 1;
+  while (String(length).length + Buffer.byteLength(record) !== length) {
+    length = String(length).length + Buffer.byteLength(record);
+  }
+  const pax = Buffer.from(`${length}${record}`);
+
+  return [
+    createHeader({ name: 'PaxHeader', size: pax.length, mode: 0o644, mtime: fields.mtime, type: 'x' }),
+    pax,
+    padding(pax.length),
+    createHeader({ name: name.slice(-100), ...fields })
+  ];
+}
+
+/**
+ * 依次输出 tar 内容
+ */
+async function* tarEntries(localDir, files) {
+  for (const file of files) {
+    const fullPath = path.join(localDir, file);
+    const stat = await fs.stat(fullPath);
+
+    yield* createFileHeaders(file, stat);
+    for await (const chunk of fs.createReadStream(fullPath)) {
+      yield chunk;
+    }
+    yield padding(stat.size);
+  }
+
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * 将本地目录中的文件打包为 tar.gz
+ * files 为相对路径列表，不指定时打包目录中所有需要上传的文件
+ */
+async function createArchive(localDir, archivePath, files = null) {
+  const entries = files || await listLocalFiles(localDir);
+
+  await pipeline(
+    Readable.from(tarEntries(localDir, entries)),
+    zlib.createGzip(),
+    fs.createWriteStream(archivePath)
+  );
+
+  const stat = await fs.stat(archivePath);
+  return { files: entries.length, size: stat.size };
+}
+
+/**
+ * 校验服务器上的压缩包与本地一致，服务器没有 sha256 工具时比较文件大小
+ */
+async function verifyRemoteArchive(ssh, localArchive, remoteArchive) {
+  const output = await ssh.exec(
+    `(sha256sum "${remoteArchive}" || shasum -a 256 "${remoteArchive}") 2>/dev/null | cut -d' ' -f1; ` +
+    `wc -c < "${remoteArchive}"`
+  );
+  const [remoteHash, remoteSize] = output.trim().split('\n').map(line => line.trim());
+
+  if (remoteHash && /^[0-9a-f]{64}$/.test(remoteHash)) {
+    if (remoteHash !== await hashFile(localArchive)) {
+      throw new Error('压缩包校验失败: sha256 不一致');
+    }
+    return;
+  }
+
+  const localSize = (await fs.stat(localArchive)).size;
+  if (parseInt(remoteSize, 10) !== localSize) {
+    throw new Error(`压缩包校验失败: 大小不一致 (本地 ${localSize}，服务器 ${remoteSize})`);
+  }
+}
+
+/**
+ * 是否压缩上传：uploadType 为 archive 且未配置 advanced.compression.enabled: false
+ */
+function isArchiveUpload(config) {
+  const compression = (config.advanced || {}).compression || {};
+  return config.uploadType === 'archive' && compression.enabled !== false;
+}
+
+/**
+ * 压缩上传：本地打包为 tar.gz，上传并校验后在服务器上解压到目标目录
+ * 服务器上没有 tar 时返回 null，由调用方改用逐个文件上传
+ * options 传给 ssh.uploadFile（上传进度等）
+ */
+async function uploadArchive(ssh, localDir, targetPath, files = null, options = {}) {
+  const hasTar = (await ssh.exec('command -v tar >/dev/null 2>&1 && echo yes || echo no')).trim() === 'yes';
+  if (!hasTar) {
+    logger.warn(chalk.yellow('⚠ 服务器上没有 tar，改用逐个文件上传'));
+    return null;
+  }
+
+  // 并发部署多台服务器（可能是同一台主机）时各自打包，文件名需要唯一
+  const archiveId = `${Date.now()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const localArchive = path.join(os.tmpdir(), `deploy-cli-${archiveId}.tar.gz`);
+  const remoteArchive = `/tmp/deploy-cli-upload-${archiveId}.tar.gz`;
+
+  try {
+    const archive = await createArchive(localDir, localArchive, files);
+
+    await ssh.uploadFile(localArchive, remoteArchive, options);
+    await verifyRemoteArchive(ssh, localArchive, remoteArchive);
+    await ssh.exec(`mkdir -p "${targetPath}" && tar -xzf "${remoteArchive}" -C "${targetPath}"`);
+
+    return archive;
+  } finally {
+    await fs.remove(localArchive);
+    await ssh.exec(`rm -f "${remoteArchive}"`).catch(() => {});
+  }
+}
+
+module.exports = {
+  createArchive,
+  isArchiveUpload,
+  uploadArchive
+};
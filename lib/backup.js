@@ -0,0 +1,177 @@
+/**
+ * 生成备份目录名: backup-<ISO时间戳>
+ */
+function createBackupId(date = new Date()) {
+  return `backup-${date.toISOString().replace(/[:.]/g, '-')}`;
+}
+
+/**
+ * 从备份目录名解析备份时间
+ */
+function parseBackupId(backupId) {
+  const match = /^backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(backupId);
+  if (!match) {
+    return null;
+  }
+
+  const [, date, hour, minute, second, millisecond] = match;
+  return new Date(`${date}T${hour}:${minute}:${second}.${millisecond}Z`);
+}
+
+/**
+ * 获取备份保留数量：环境的 backup.keep 优先于全局的 backupKeep
+ */
+function getBackupKeep(config) {
+  const backup = config.backup || {};
+  const global = config.global || {};
+  const keep = parseInt(backup.keep !== undefined ? backup.keep : global.backupKeep, 10);
+  return keep > 0 ? keep : 5;
+}
+
+/**
+ * 当前部署目录的备份所在目录: <backupPath>/<部署路径>，例如 /var/backups/deploy/var-www-app
+ * 多个项目或环境共用 backupPath 时各自的备份互不影响
+ */
+function getBackupDir(config) {
+  const name = String(config.deployPath || '').replace(/^\/+|\/+$/g, '').replace(/[^\w.-]+/g, '-') || 'root';
+  return `${config.backupPath}/${name}`;
+}
+
+/**
+ * 备份当前部署目录，部署目录不存在（首次部署）时返回 null
+ */
+async function createBackup(ssh, config) {
+  if (!(await ssh.directoryExists(config.deployPath))) {
+    return null;
+  }
+
+  const id = createBackupId();
+  const backupDir = getBackupDir(config);
+  const backupPath = `${backupDir}/${id}`;
+
+  await ssh.exec(`mkdir -p ${backupDir}`);
+  await ssh.exec(`cp -r ${config.deployPath} ${backupPath}`);
+
+  return { id, path: backupPath };
+}
+
+/**
+ * 读取备份中的部署信息（提交等），不存在时返回空对象
+ */
+async function readBackupInfo(ssh, backupPath) {
+  try {
+    const content = await ssh.exec(`cat "${backupPath}/.deploy-info" 2>/dev/null || true`);
+    return content.trim() ? JSON.parse(content) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * 列出目录下的备份目录名
+ */
+async function listBackupIds(ssh, dir) {
+  const output = await ssh.exec(`ls -1 "${dir}" 2>/dev/null || true`);
+  return output.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('backup-'));
+}
+
+/**
+ * 列出服务器上的所有备份（按时间从新到旧）
+ * 包括旧版本直接保存在 backupPath 下的备份（legacy: true），它们同样参与清理和回滚
+ */
+async function listBackups(ssh, config) {
+  if (!config.backupPath) {
+    return [];
+  }
+
+  const backupDir = getBackupDir(config);
+  const entries = [
+    ...(await listBackupIds(ssh, backupDir)).map(id => ({ id, path: `${backupDir}/${id}`, legacy: false })),
+    ...(await listBackupIds(ssh, config.backupPath)).map(id => ({ id, path: `${config.backupPath}/${id}`, legacy: true }))
+  ].sort((a, b) => b.id.localeCompare(a.id));
+
+  const backups = [];
+  for (const entry of entries) {
+    const info = await readBackupInfo(ssh, entry.path);
+
+    backups.push({
+      ...entry,
+      timestamp: parseBackupId(entry.id),
+      commit: info.shortCommit || info.commit || null
+    });
+  }
+
+  return backups;
+}
+
+/**
+ * 获取目录下各子目录占用的字节数，指定 names 时只统计这些子目录
+ */
+async function getDirectorySizes(ssh, parentDir, names = null) {
+  const targets = names ? names.map(name => `"${name}"`).join(' ') : '*';
+  if (!targets) {
+    return {};
+  }
+  const output = await ssh.exec(`cd "${parentDir}" 2>/dev/null && du -sb -- ${targets} 2>/dev/null || true`);
+  const sizes = {};
+
+  output.split('\n').forEach(line => {
+    const [size, name] = line.trim().split(/\s+/);
+    if (name) {
+      sizes[name] = parseInt(size, 10) || 0;
+    }
+  });
+
+  return sizes;
+}
+
+/**
+ * 清理旧备份，保留最近 keep 个，exclude 中的备份永远保留
+ */
+async function pruneBackups(ssh, config, keep = getBackupKeep(config), exclude = []) {
+  const backups = await listBackups(ssh, config);
+  const removable = backups.slice(keep).filter(backup => !exclude.includes(backup.id));
+
+  for (const backup of removable) {
+    await ssh.exec(`rm -rf "${backup.path}"`);
+  }
+
+  return removable;
+}
+
+/**
+ * 用备份替换当前部署目录
+ * 先复制到临时目录再整体替换，被替换的线上目录作为新的备份保留
+ */
+async function restoreBackup(ssh, config, backupId) {
+  const backup = (await listBackups(ssh, config)).find(item => item.id === backupId);
+  const backupPath = backup ? backup.path : `${getBackupDir(config)}/${backupId}`;
+  const stagingPath = `${config.deployPath}.rollback-tmp`;
+  const replacedPath = `${getBackupDir(config)}/${createBackupId()}`;
+
+  if (!(await ssh.directoryExists(backupPath))) {
+    throw new Error(`备份不存在: ${backupPath}`);
+  }
+
+  await ssh.exec(`rm -rf "${stagingPath}" && cp -a "${backupPath}" "${stagingPath}"`);
+  await ssh.exec(
+    `if [ -e "${config.deployPath}" ]; then mv "${config.deployPath}" "${replacedPath}"; fi && ` +
+    `mv "${stagingPath}" "${config.deployPath}"`
+  );
+
+  return { replacedPath };
+}
+
+module.exports = {
+  createBackupId,
+  parseBackupId,
+  getBackupKeep,
+  getBackupDir,
+  createBackup,
+  listBackups,
+  getDirectorySizes,
+  pruneBackups,
+  restoreBackup
+};
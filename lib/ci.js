@@ -0,0 +1,61 @@
+// 退出码，供 CI 脚本区分失败原因
+const EXIT_CODES = {
+  FAILURE: 1,
+  CONFIG: 2,
+  CONNECTION: 3,
+  BUILD: 4,
+  HEALTH_CHECK: 5,
+  CANCELLED: 6
+};
+
+// 非交互模式：不弹出任何确认，所有确认视为同意
+let nonInteractive = false;
+
+/**
+ * 是否应使用非交互模式：--ci / --yes / --json、环境变量 CI=true 或标准输入不是终端
+ */
+function detectNonInteractive(options = {}) {
+  return Boolean(options.ci || options.yes || options.json) ||
+    process.env.CI === 'true' ||
+    !process.stdin.isTTY;
+}
+
+/**
+ * 设置非交互模式
+ */
+function setNonInteractive(value) {
+  nonInteractive = Boolean(value);
+}
+
+/**
+ * 当前是否为非交互模式
+ */
+function isNonInteractive() {
+  return nonInteractive;
+}
+
+/**
+ * 为错误标记退出码，已有退出码时保持不变
+ */
+function withExitCode(error, exitCode) {
+  if (error && typeof error === 'object' && error.exitCode === undefined) {
+    error.exitCode = exitCode;
+  }
+  return error;
+}
+
+/**
+ * 获取错误对应的退出码，未标记时为 1
+ */
+function getExitCode(error) {
+  return (error && error.exitCode) || EXIT_CODES.FAILURE;
+}
+
+module.exports = {
+  EXIT_CODES,
+  detectNonInteractive,
+  setNonInteractive,
+  isNonInteractive,
+  withExitCode,
+  getExitCode
+};
@@ -4,6 +4,144 @@ const yaml = require('js-yaml');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const os = require('os');
+const { resolveSshHost } = require('./ssh-config');
+const {
+  isSecretRef,
+  getSecretName,
+  setSecret,
+  setSecrets,
+  removeSecret,
+  listSecrets,
+  rotatePassphrase,
+  resolveSecrets,
+  secretRef,
+  VAULT_FILE
+} = require('./vault');
+const logger = require('./logger');
+const { EXIT_CODES, withExitCode } = require('./ci');
+const { validateProjectConfig, validateServers, validateGlobalConfig, formatProblem, displayFile } = require('./schema');
+
+// 项目根目录下的部署配置文件，按顺序查找
+const PROJECT_CONFIG_FILES = ['deploy.config.js', 'deploy.config.yml', 'deploy.config.yaml'];
+// 服务器配置中需要保存到保险库的凭据字段
+const SECRET_FIELDS = ['password', 'privateKey', 'passphrase'];
+// 认证方式选项
+const AUTH_PASSWORD = '密码';
+const AUTH_KEY = '私钥文件';
+const AUTH_AGENT = 'SSH Agent / ~/.ssh/config';
+
+/**
+ * 展开路径中的 ~ 为用户主目录
+ */
+function expandHome(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    return filePath;
+  }
+  if (filePath === '~') {
+    return os.homedir();
+  }
+  if (filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  return filePath;
+}
+
+/**
+ * 列出服务器配置中保存凭据的位置：服务器本身和各级跳板机
+ * 返回 [{ target, prefix }]，prefix 用于生成保险库中的密钥名称
+ */
+function getCredentialHolders(serverName, config) {
+  const jumpHosts = [].concat(config.jumpHost || []).filter(hop => hop && typeof hop === 'object');
+
+  return [
+    { target: config, prefix: serverName },
+    ...jumpHosts.map((hop, index) => ({ target: hop, prefix: `${serverName}.jumpHost${index + 1}` }))
+  ];
+}
+
+/**
+ * 获取服务器配置（含跳板机）中的所有凭据值
+ */
+function getSecretValues(config) {
+  return getCredentialHolders('', config).flatMap(({ target }) =>
+    SECRET_FIELDS.map(field => target[field]).filter(Boolean));
+}
+
+/**
+ * config.yml 中该环境列出的服务器名称（未配置时为空数组）
+ */
+function getMappedServers(environments, env) {
+  const envConfig = environments[env] || {};
+  return [].concat(envConfig.servers || []).map(String);
+}
+
+/**
+ * 服务器和跳板机共用的认证方式问题
+ * 地址可以是 ~/.ssh/config 中的 Host 别名，默认值取自该配置
+ */
+function getAuthQuestions() {
+  const sshHost = (answers) => resolveSshHost(answers.host);
+
+  return [
+    {
+      type: 'input',
+      name: 'port',
+      message: 'SSH端口:',
+      default: (answers) => String(sshHost(answers).port || 22)
+    },
+    {
+      type: 'input',
+      name: 'username',
+      message: '用户名:',
+      default: (answers) => sshHost(answers).user,
+      validate: (input) => input.length > 0 || '用户名不能为空'
+    },
+    {
+      type: 'list',
+      name: 'authType',
+      message: '认证方式:',
+      choices: [AUTH_PASSWORD, AUTH_KEY, AUTH_AGENT],
+      default: (answers) => process.env.SSH_AUTH_SOCK || sshHost(answers).identityFiles.length > 0 ?
+        AUTH_AGENT :
+        AUTH_KEY
+    },
+    {
+      type: 'password',
+      name: 'password',
+      message: '密码:',
+      when: (answers) => answers.authType === AUTH_PASSWORD
+    },
+    {
+      type: 'input',
+      name: 'privateKeyPath',
+      message: '私钥文件路径:',
+      default: '~/.ssh/id_rsa',
+      when: (answers) => answers.authType === AUTH_KEY,
+      validate: (input) => fs.existsSync(expandHome(input)) || `私钥文件不存在: ${input}`
+    },
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: '私钥密码 (没有则留空):',
+      when: (answers) => answers.authType === AUTH_KEY
+    }
+  ];
+}
+
+/**
+ * 将认证问题的回答转换为连接配置
+ * 只保存私钥路径，连接时再读取，更换私钥后无需修改配置
+ */
+function buildAuthConfig(answers) {
+  return {
+    host: answers.host,
+    port: parseInt(answers.port),
+    username: answers.username,
+    password: answers.password,
+    privateKeyPath: answers.privateKeyPath,
+    passphrase: answers.passphrase || undefined
+  };
+}
 
 class ConfigManager {
   constructor() {
@@ -32,15 +170,18 @@ class ConfigManager {
       environments: {
         development: {
           name: 'Development',
-          description: '开发环境'
+          description: '开发环境',
+          servers: []
         },
         staging: {
           name: 'Staging', 
-          description: '测试环境'
+          description: '测试环境',
+          servers: []
         },
         production: {
           name: 'Production',
-          description: '生产环境'
+          description: '生产环境',
+          servers: []
         }
       }
     };
@@ -93,40 +234,15 @@ class ConfigManager {
       {
         type: 'input',
         name: 'host',
-        message: '服务器地址:',
+        message: '服务器地址 (或 ~/.ssh/config 中的 Host 别名):',
         validate: (input) => input.length > 0 || '服务器地址不能为空'
       },
+      ...getAuthQuestions(),
       {
-        type: 'input',
-        name: 'port',
-        message: 'SSH端口:',
-        default: '22'
-      },
-      {
-        type: 'input',
-        name: 'username',
-        message: '用户名:',
-        validate: (input) => input.length > 0 || '用户名不能为空'
-      },
-      {
-        type: 'list',
-        name: 'authType',
-        message: '认证方式:',
-        choices: ['密码', '私钥文件'],
-        default: '私钥文件'
-      },
-      {
-        type: 'password',
-        name: 'password',
-        message: '密码:',
-        when: (answers) => answers.authType === '密码'
-      },
-      {
-        type: 'input',
-        name: 'privateKeyPath',
-        message: '私钥文件路径:',
-        default: path.join(os.homedir(), '.ssh/id_rsa'),
-        when: (answers) => answers.authType === '私钥文件'
+        type: 'confirm',
+        name: 'useJumpHost',
+        message: '是否需要通过跳板机连接？',
+        default: false
       },
       {
         type: 'input',
@@ -135,11 +251,19 @@ class ConfigManager {
         default: '/var/www/html',
         validate: (input) => input.length > 0 || '部署路径不能为空'
       },
+      {
+        type: 'list',
+        name: 'deployMode',
+        message: '部署方式:',
+        choices: ['原地覆盖', '版本目录 (releases + current 软链)'],
+        default: '原地覆盖'
+      },
       {
         type: 'input',
         name: 'backupPath',
         message: '备份路径:',
-        default: '/var/backups/deploy'
+        default: '/var/backups/deploy',
+        when: (answers) => answers.deployMode === '原地覆盖'
       },
       {
         type: 'list',
@@ -150,6 +274,8 @@ class ConfigManager {
       }
     ]);
 
+    const jumpHosts = serverConfig.useJumpHost ? await this.promptJumpHosts() : [];
+
     // 根据项目类型设置默认命令
     const projectCommands = this.getProjectCommands(serverConfig.projectType);
     
@@ -195,20 +321,40 @@ class ConfigManager {
     const finalConfig = {
       ...serverConfig,
       ...commandConfig,
-      port: parseInt(serverConfig.port),
-      privateKey: serverConfig.authType === '私钥文件' ? 
-        await this.readPrivateKey(serverConfig.privateKeyPath) : undefined,
+      ...buildAuthConfig(serverConfig),
+      jumpHost: jumpHosts.length > 0 ? jumpHosts : undefined,
+      releases: serverConfig.deployMode === '原地覆盖' ? undefined : { enabled: true, keep: 5 },
       createdAt: new Date().toISOString()
     };
 
     // 清理不需要的字段
     delete finalConfig.authType;
-    delete finalConfig.privateKeyPath;
+    delete finalConfig.deployMode;
+    delete finalConfig.useJumpHost;
 
-    // 保存配置
-    await this.saveServerConfig(serverName, finalConfig);
+    // 凭据加密保存到保险库，servers.yml 中只保留引用
+    const savedConfig = await this.encryptServerSecrets(serverName, finalConfig);
+    await this.saveServerConfig(serverName, savedConfig);
     
     console.log(chalk.green(`\n✓ 服务器 ${serverName} 配置已保存`));
+
+    // 在 config.yml 的环境中引用该服务器，部署这些环境时使用
+    const globalConfig = await this.readGlobalConfig();
+    const environments = globalConfig.environments || {};
+    if (Object.keys(environments).length > 0) {
+      const { serverEnvironments } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'serverEnvironments',
+          message: '该服务器属于哪些环境:',
+          choices: Object.keys(environments).map(env => ({
+            name: env,
+            checked: [].concat((environments[env] || {}).servers || []).includes(serverName)
+          }))
+        }
+      ]);
+      await this.setServerEnvironments(serverName, serverEnvironments);
+    }
     
     // 测试连接
     const { testConnection } = await inquirer.prompt([
@@ -225,6 +371,39 @@ class ConfigManager {
     }
   }
 
+  /**
+   * 交互配置跳板机（可配置多级，按连接顺序）
+   */
+  async promptJumpHosts() {
+    const jumpHosts = [];
+    let addNext = true;
+
+    while (addNext) {
+      console.log(chalk.cyan(`\n🔀 第 ${jumpHosts.length + 1} 级跳板机\n`));
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'host',
+          message: '跳板机地址 (或 ~/.ssh/config 中的 Host 别名):',
+          validate: (input) => input.length > 0 || '跳板机地址不能为空'
+        },
+        ...getAuthQuestions(),
+        {
+          type: 'confirm',
+          name: 'addNext',
+          message: '是否继续添加下一级跳板机？',
+          default: false
+        }
+      ]);
+
+      jumpHosts.push(buildAuthConfig(answers));
+      addNext = answers.addNext;
+    }
+
+    return jumpHosts;
+  }
+
   /**
    * 根据项目类型获取默认命令
    */
@@ -271,19 +450,32 @@ class ConfigManager {
   }
 
   /**
-   * 读取私钥文件
+   * 将服务器配置中的明文凭据保存到保险库，返回使用引用替换后的配置
    */
-  async readPrivateKey(keyPath) {
-    try {
-      if (await fs.pathExists(keyPath)) {
-        return await fs.readFile(keyPath, 'utf8');
-      }
-      console.log(chalk.yellow(`⚠ 私钥文件不存在: ${keyPath}`));
-      return undefined;
-    } catch (error) {
-      console.log(chalk.yellow(`⚠ 读取私钥文件失败: ${error.message}`));
-      return undefined;
+  async encryptServerSecrets(serverName, config) {
+    const encrypted = { ...config };
+    if (config.jumpHost) {
+      encrypted.jumpHost = Array.isArray(config.jumpHost) ?
+        config.jumpHost.map(hop => typeof hop === 'object' ? { ...hop } : hop) :
+        typeof config.jumpHost === 'object' ? { ...config.jumpHost } : config.jumpHost;
     }
+
+    const secrets = {};
+    getCredentialHolders(serverName, encrypted).forEach(({ target, prefix }) => {
+      SECRET_FIELDS.forEach(field => {
+        if (target[field] && !isSecretRef(target[field])) {
+          secrets[`${prefix}.${field}`] = target[field];
+          target[field] = secretRef(`${prefix}.${field}`);
+        }
+      });
+    });
+
+    if (Object.keys(secrets).length === 0) {
+      return config;
+    }
+
+    await setSecrets(secrets);
+    return encrypted;
   }
 
   /**
@@ -305,9 +497,14 @@ class ConfigManager {
    * 测试服务器连接
    */
   async testServerConnection(serverName, config) {
-    const { SSHConnection } = require('./ssh');
+    const { SSHConnection, getJumpHosts } = require('./ssh');
     const ora = require('ora');
     
+    const route = [...getJumpHosts(config).map(hop => hop.host), config.host];
+    if (route.length > 1) {
+      console.log(chalk.gray(`连接路径: 本机 → ${route.join(' → ')}`));
+    }
+    
     const spinner = ora(`测试连接到 ${config.host}...`).start();
     
     try {
@@ -349,12 +546,23 @@ class ConfigManager {
       return;
     }
 
+    const environments = (await this.readGlobalConfig()).environments || {};
+
     Object.entries(servers.servers).forEach(([name, config]) => {
+      const serverEnvironments = Object.keys(environments)
+        .filter(env => [].concat((environments[env] || {}).servers || []).includes(name));
+
       console.log(chalk.green(`🖥️  ${name}`));
-      console.log(`   地址: ${config.host}:${config.port}`);
+      console.log(`   地址: ${config.host}${config.port ? `:${config.port}` : ''}`);
       console.log(`   用户: ${config.username}`);
+      console.log(`   环境: ${serverEnvironments.join(', ') || config.environment || chalk.yellow('未指定')}`);
+      if (config.jumpHost) {
+        const hops = [].concat(config.jumpHost).map(hop => typeof hop === 'object' ? hop.host : hop);
+        console.log(`   跳板机: ${hops.join(' → ')}`);
+      }
       console.log(`   部署路径: ${config.deployPath}`);
       console.log(`   项目类型: ${config.projectType || 'Unknown'}`);
+      console.log(`   凭据: ${this.describeSecrets(config)}`);
       if (config.url) {
         console.log(`   访问地址: ${config.url}`);
       }
@@ -390,47 +598,567 @@ class ConfigManager {
     ]);
 
     if (confirmed) {
+      const refs = getSecretValues(servers.servers[serverName]).filter(isSecretRef);
+
       delete servers.servers[serverName];
       await fs.writeFile(this.serversFile, yaml.dump(servers, { indent: 2 }));
+      await this.setServerEnvironments(serverName, []);
+
+      // 同时删除保险库中属于该服务器的凭据
+      for (const ref of refs) {
+        await removeSecret(getSecretName(ref));
+      }
+
       console.log(chalk.green(`✓ 服务器配置 ${serverName} 已删除`));
     }
   }
 
   /**
-   * 加载配置
+   * 描述服务器凭据的保存方式
+   */
+  describeSecrets(config) {
+    const values = getSecretValues(config);
+    if (values.length === 0) {
+      return '无';
+    }
+
+    const plaintext = values.filter(value => !isSecretRef(value));
+    return plaintext.length > 0 ?
+      chalk.red(`${plaintext.length} 项明文，请运行 deploy-cli config --migrate-secrets`) :
+      chalk.green('已加密');
+  }
+
+  /**
+   * 读取 servers.yml 中的服务器
    */
-  async loadConfig(env) {
+  async readServers() {
     if (!(await fs.pathExists(this.serversFile))) {
-      throw new Error('配置文件不存在，请先运行 deploy-cli config --init');
+      return { servers: {} };
     }
 
     const content = await fs.readFile(this.serversFile, 'utf8');
-    const servers = yaml.load(content) || { servers: {} };
+    const servers = yaml.load(content) || {};
+    servers.servers = servers.servers || {};
+    return servers;
+  }
+
+  /**
+   * 将 servers.yml 中的明文凭据迁移到保险库
+   */
+  async migrateSecrets() {
+    const servers = await this.readServers();
+    const migrated = [];
 
-    // 查找匹配环境的服务器
-    const serverName = Object.keys(servers.servers).find(name => 
-      name.includes(env) || servers.servers[name].environment === env
-    );
+    for (const [name, config] of Object.entries(servers.servers)) {
+      const encrypted = await this.encryptServerSecrets(name, config);
+      if (encrypted !== config) {
+        servers.servers[name] = encrypted;
+        migrated.push(name);
+      }
+    }
 
+    if (migrated.length === 0) {
+      console.log(chalk.green('✓ servers.yml 中没有明文凭据'));
+      return;
+    }
+
+    await fs.writeFile(this.serversFile, yaml.dump(servers, { indent: 2 }));
+    console.log(chalk.green(`✓ 已加密 ${migrated.length} 台服务器的凭据: ${migrated.join(', ')}`));
+    console.log(chalk.gray(`保险库文件: ${VAULT_FILE}`));
+  }
+
+  /**
+   * 设置保险库中的密钥（已存在时覆盖）
+   */
+  async setSecret(name, value) {
+    if (value === undefined) {
+      const answers = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'value',
+          message: `${name} 的值:`,
+          mask: '*',
+          validate: (input) => input.length > 0 || '值不能为空'
+        }
+      ]);
+      value = answers.value;
+    }
+
+    const ref = await setSecret(name, value);
+    console.log(chalk.green(`✓ 密钥 ${name} 已保存`));
+    console.log(chalk.gray(`在配置中使用: ${ref}`));
+  }
+
+  /**
+   * 删除保险库中的密钥
+   */
+  async removeSecret(name) {
+    if (await removeSecret(name)) {
+      console.log(chalk.green(`✓ 密钥 ${name} 已删除`));
+    } else {
+      console.log(chalk.yellow(`密钥 ${name} 不存在`));
+    }
+  }
+
+  /**
+   * 列出保险库中的密钥名称
+   */
+  async listSecrets() {
+    const names = await listSecrets();
+
+    console.log(chalk.cyan('🔐 保险库密钥列表\n'));
+    if (names.length === 0) {
+      console.log(chalk.yellow('保险库中暂无密钥'));
+      return;
+    }
+    names.forEach(name => console.log(`  ${name}`));
+  }
+
+  /**
+   * 更换保险库主密码
+   */
+  async rotateSecretKey() {
+    const count = await rotatePassphrase();
+    console.log(chalk.green(`✓ 主密码已更换，已重新加密 ${count} 个密钥`));
+  }
+
+  /**
+   * 查找项目根目录下的部署配置文件
+   */
+  async findProjectConfig(cwd = process.cwd()) {
+    for (const fileName of PROJECT_CONFIG_FILES) {
+      const filePath = path.join(cwd, fileName);
+      if (await fs.pathExists(filePath)) {
+        return filePath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 加载项目配置文件 (deploy.config.js / deploy.config.yml)
+   */
+  async loadProjectConfig(cwd = process.cwd()) {
+    const file = await this.findProjectConfig(cwd);
+    if (!file) {
+      return null;
+    }
+
+    let projectConfig;
+    try {
+      if (file.endsWith('.js')) {
+        delete require.cache[require.resolve(file)];
+        projectConfig = require(file);
+      } else {
+        projectConfig = yaml.load(await fs.readFile(file, 'utf8'));
+      }
+    } catch (error) {
+      throw new Error(`读取项目配置 ${file} 失败: ${error.message}`);
+    }
+
+    return {
+      file,
+      root: path.dirname(file),
+      config: projectConfig || {}
+    };
+  }
+
+  /**
+   * 将项目配置中的环境解析为各服务器的部署配置
+   * 环境可以直接配置 host，也可以通过 servers 列出多台服务器（服务器上的字段覆盖环境配置）
+   */
+  async resolveProjectEnvironment(project, env) {
+    const { file, root, config: projectConfig } = project;
+    const environments = projectConfig.environments || {};
+    const envConfig = environments[env];
+
+    if (!envConfig) {
+      const available = Object.keys(environments).join(', ') || '无';
+      throw new Error(`${path.basename(file)} 中未定义 ${env} 环境 (可用环境: ${available})`);
+    }
+
+    const build = projectConfig.build || {};
+    const { auth = {}, backup = {}, servers, ...envSettings } = envConfig;
+
+    const baseConfig = {
+      buildCommand: build.command,
+      localPath: path.resolve(root, build.outputDir || '.'),
+      uploadType: 'rsync',
+      ...envSettings,
+      backup,
+      backupPath: backup.path || envSettings.backupPath,
+      environment: env,
+      project: projectConfig.project || {},
+      build,
+      global: projectConfig.global || {},
+      advanced: projectConfig.advanced || {},
+      configFile: file,
+      projectRoot: root
+    };
+
+    if (!Array.isArray(servers) || servers.length === 0) {
+      const config = { ...baseConfig, name: envSettings.name || envSettings.host };
+      return [await this.applyAuth(config, auth)];
+    }
+
+    const targets = [];
+    for (const server of servers) {
+      const { auth: serverAuth, ...serverSettings } = server;
+      const config = {
+        ...baseConfig,
+        ...serverSettings,
+        name: server.name || server.host
+      };
+      targets.push(await this.applyAuth(config, serverAuth || auth));
+    }
+
+    return targets;
+  }
+
+  /**
+   * 将 auth 配置转换为 SSH 认证字段
+   */
+  async applyAuth(config, auth) {
+    if (auth.type === 'password') {
+      config.password = auth.password;
+    } else if (isSecretRef(auth.privateKey)) {
+      config.privateKey = auth.privateKey;
+    } else if (auth.privateKey) {
+      // 私钥路径在连接时读取
+      config.privateKeyPath = auth.privateKey;
+    }
+    if (auth.passphrase) {
+      config.passphrase = auth.passphrase;
+    }
+
+    // 每级跳板机使用各自的 auth
+    if (config.jumpHost && typeof config.jumpHost === 'object') {
+      const hops = await Promise.all([].concat(config.jumpHost).map(hop => {
+        if (typeof hop !== 'object') {
+          return hop;
+        }
+        const { auth: hopAuth, ...hopSettings } = hop;
+        return this.applyAuth(hopSettings, hopAuth || {});
+      }));
+      config.jumpHost = Array.isArray(config.jumpHost) ? hops : hops[0];
+    }
+
+    return config;
+  }
+
+  /**
+   * 加载环境下所有服务器的部署配置，并解密其中的保险库引用
+   * 指定 serverName 时只返回该服务器
+   */
+  async loadTargets(env, serverName) {
+    try {
+      const targets = await this.loadRawTargets(env, serverName);
+      // global.logging.level 决定控制台输出级别（命令行 --verbose / --quiet 优先）
+      logger.applyLoggingConfig(((targets[0] || {}).global || {}).logging);
+      return await resolveSecrets(targets);
+    } catch (error) {
+      throw withExitCode(error, EXIT_CODES.CONFIG);
+    }
+  }
+
+  /**
+   * 加载环境下所有服务器的部署配置（不解密）
+   * 优先使用项目根目录下的 deploy.config.js/.yml，不存在时回退到 servers.yml
+   */
+  async loadRawTargets(env, serverName) {
+    const project = await this.loadProjectConfig();
+    if (project) {
+      this.checkProblems(validateProjectConfig(project.config, project.file, env));
+      return this.selectServer(await this.resolveProjectEnvironment(project, env), env, serverName);
+    }
+
+    if (!(await fs.pathExists(this.serversFile))) {
+      throw new Error('配置文件不存在，请先运行 deploy-cli config --init');
+    }
+
+    const servers = await this.readServers();
+    const globalConfig = await this.readGlobalConfig();
+    const environmentServers = this.findEnvironmentServers(servers, globalConfig, env);
+
+    this.checkProblems([
+      ...validateServers(servers, this.serversFile, environmentServers),
+      ...validateGlobalConfig(globalConfig, this.configFile)
+    ]);
+
+    const serverNames = this.selectServer(environmentServers.map(name => ({ name, ...servers.servers[name] })), env, serverName)
+      .map(server => server.name);
+
+    serverNames.forEach(name => {
+      const plaintext = getSecretValues(servers.servers[name]).filter(value => !isSecretRef(value));
+      if (plaintext.length > 0) {
+        logger.warn(chalk.yellow(`⚠ 服务器 ${name} 的凭据以明文保存，请运行 deploy-cli config --migrate-secrets 加密`));
+      }
+    });
+
+    const global = globalConfig.global || {};
+    return serverNames.map(name => ({
+      global,
+      name,
+      ...servers.servers[name]
+    }));
+  }
+
+  /**
+   * 加载配置（只需要单台服务器的命令使用环境中的第一台服务器，或 serverName 指定的服务器）
+   */
+  async loadConfig(env, serverName) {
+    const targets = await this.loadTargets(env, serverName);
+    return targets[0];
+  }
+
+  /**
+   * 按名称（或地址）精确选择环境中的一台服务器，未指定 serverName 时返回全部
+   * 没有匹配或匹配到多台时列出可选服务器
+   */
+  selectServer(targets, env, serverName) {
     if (!serverName) {
-      throw new Error(`未找到 ${env} 环境的服务器配置`);
+      return targets;
+    }
+
+    const byName = targets.filter(target => target.name === serverName);
+    const matched = byName.length > 0 ? byName : targets.filter(target => target.host === serverName);
+    if (matched.length === 1) {
+      return matched;
     }
 
-    return servers.servers[serverName];
+    const candidates = targets
+      .map(target => (target.host && target.host !== target.name ? `${target.name} (${target.host})` : target.name))
+      .join(', ');
+    if (matched.length === 0) {
+      throw new Error(`${env} 环境中没有服务器 ${serverName} (可选: ${candidates})`);
+    }
+    const hint = byName.length > 0 ? '请为这些服务器设置不同的 name' : '请按服务器名称指定';
+    throw new Error(`${env} 环境中有 ${matched.length} 台服务器匹配 ${serverName}，${hint} (可选: ${candidates})`);
+  }
+
+  /**
+   * 列出已配置的环境名称
+   * 有项目配置时为其中的 environments，否则为 config.yml 中的 environments 和 servers.yml 中服务器的 environment 字段
+   */
+  async listEnvironments() {
+    const project = await this.loadProjectConfig();
+    if (project) {
+      return Object.keys(project.config.environments || {});
+    }
+
+    const environments = Object.keys((await this.readGlobalConfig()).environments || {});
+    const { servers } = await this.readServers();
+    Object.values(servers).forEach(server => {
+      if (server && server.environment && !environments.includes(String(server.environment))) {
+        environments.push(String(server.environment));
+      }
+    });
+    return environments;
+  }
+
+  /**
+   * 读取 config.yml
+   */
+  async readGlobalConfig() {
+    if (!(await fs.pathExists(this.configFile))) {
+      return {};
+    }
+
+    const content = await fs.readFile(this.configFile, 'utf8');
+    return yaml.load(content) || {};
+  }
+
+  /**
+   * 更新 config.yml 中引用该服务器的环境（environments[env].servers）
+   */
+  async setServerEnvironments(serverName, envNames) {
+    const config = await this.readGlobalConfig();
+    const environments = config.environments || {};
+    let changed = false;
+
+    Object.keys(environments).forEach(env => {
+      const envConfig = environments[env] || {};
+      const current = [].concat(envConfig.servers || []);
+      const next = current.filter(name => name !== serverName);
+      if (envNames.includes(env)) {
+        next.push(serverName);
+      }
+      if (next.length === current.length && next.every((name, index) => name === current[index])) {
+        return;
+      }
+
+      envConfig.servers = next;
+      environments[env] = envConfig;
+      changed = true;
+    });
+
+    if (changed) {
+      await fs.writeFile(this.configFile, yaml.dump(config, { indent: 2 }));
+    }
+  }
+
+  /**
+   * 查找 servers.yml 中属于该环境的服务器名称（只做精确匹配）
+   * 优先使用 config.yml 中 environments[env].servers 列出的服务器，列表为空或未配置时使用 environment 字段等于该环境的服务器
+   */
+  findEnvironmentServers(servers, globalConfig, env) {
+    const names = Object.keys(servers.servers);
+    const environments = globalConfig.environments || {};
+    const mapped = getMappedServers(environments, env);
+    const tagged = names.filter(name => (servers.servers[name] || {}).environment === env);
+
+    if (mapped.length > 0) {
+      const missing = mapped.filter(name => !names.includes(name));
+      if (missing.length > 0) {
+        throw new Error(`config.yml 中 ${env} 环境引用的服务器不存在: ${missing.join(', ')} (servers.yml 中的服务器: ${names.join(', ') || '无'})`);
+      }
+
+      // 两处配置不一致时无法确定要部署哪些服务器
+      const conflicting = tagged.filter(name => !mapped.includes(name));
+      if (conflicting.length > 0) {
+        throw new Error(`${env} 环境的服务器不明确: config.yml 中为 ${mapped.join(', ')}，` +
+          `servers.yml 中 environment 为 ${env} 的还有 ${conflicting.join(', ')}，请在 config.yml 的 environments.${env}.servers 中统一列出`);
+      }
+      return mapped;
+    }
+
+    if (tagged.length > 0) {
+      return tagged;
+    }
+
+    const defined = Object.keys(environments).filter(name => getMappedServers(environments, name).length > 0);
+    const similar = names.filter(name => name.includes(env) || env.includes(name));
+    throw new Error([
+      `未找到 ${env} 环境的服务器，请运行 deploy-cli config --add-server <名称> 添加，` +
+        `或在 config.yml 的 environments.${env}.servers 中列出服务器名称，或为服务器设置 environment: ${env}`,
+      `  已配置服务器的环境: ${defined.join(', ') || '无'}`,
+      `  servers.yml 中的服务器: ${names.join(', ') || '无'}`,
+      ...(similar.length > 0 ? [`  名称相近的服务器: ${similar.join(', ')}`] : [])
+    ].join('\n'));
+  }
+
+  /**
+   * 输出配置警告，有错误时抛出错误并列出全部错误
+   */
+  checkProblems(problems) {
+    problems
+      .filter(problem => problem.level === 'warning')
+      .forEach(problem => logger.warn(chalk.yellow(`⚠ ${formatProblem(problem)}`)));
+
+    const errors = problems.filter(problem => problem.level === 'error');
+    if (errors.length > 0) {
+      throw withExitCode(new Error([
+        `配置有 ${errors.length} 个错误:`,
+        ...errors.map(problem => `  ${formatProblem(problem)}`),
+        '运行 deploy-cli config validate 检查全部配置'
+      ].join('\n')), EXIT_CODES.CONFIG);
+    }
+  }
+
+  /**
+   * 校验配置文件并列出全部问题（文件、字段路径和修改建议），有错误时以配置错误退出
+   * 指定 env 时只校验该环境使用的配置
+   */
+  async validateConfig(env) {
+    console.log(chalk.cyan(`🔍 校验部署配置${env ? ` (${env})` : ''}\n`));
+
+    const files = [];
+    const problems = [];
+    const project = await this.loadProjectConfig();
+
+    if (project) {
+      files.push(project.file);
+      problems.push(...validateProjectConfig(project.config, project.file, env));
+    }
+
+    // 项目配置存在时部署不使用 servers.yml，只在未指定环境时一并检查
+    if (!project || !env) {
+      const globalConfig = await this.readGlobalConfig();
+
+      if (await fs.pathExists(this.serversFile)) {
+        const servers = await this.readServers();
+        const environments = globalConfig.environments || {};
+        // 指定 env 时检查该环境的服务器，否则检查 config.yml 中所有环境引用的服务器是否存在
+        const envNames = env ?
+          [env] :
+          Object.keys(environments).filter(name => getMappedServers(environments, name).length > 0);
+        const names = env ? [] : undefined;
+
+        envNames.forEach(name => {
+          try {
+            const found = this.findEnvironmentServers(servers, globalConfig, name);
+            if (names) {
+              names.push(...found);
+            }
+          } catch (error) {
+            problems.push({
+              level: 'error',
+              file: this.configFile,
+              path: `environments.${name}.servers`,
+              message: error.message
+            });
+          }
+        });
+
+        files.push(this.serversFile);
+        problems.push(...validateServers(servers, this.serversFile, names));
+      }
+      if (await fs.pathExists(this.configFile)) {
+        files.push(this.configFile);
+        problems.push(...validateGlobalConfig(globalConfig, this.configFile));
+      }
+    }
+
+    if (files.length === 0) {
+      throw withExitCode(new Error('未找到配置文件，请先运行 deploy-cli config --init 或在项目根目录创建 deploy.config.js'), EXIT_CODES.CONFIG);
+    }
+
+    files.forEach(file => console.log(chalk.gray(`已检查: ${displayFile(file)}`)));
+    console.log('');
+
+    const errors = problems.filter(problem => problem.level === 'error');
+    const warnings = problems.filter(problem => problem.level === 'warning');
+    errors.forEach(problem => console.log(chalk.red(`✖ ${formatProblem(problem)}`)));
+    warnings.forEach(problem => console.log(chalk.yellow(`⚠ ${formatProblem(problem)}`)));
+
+    if (errors.length > 0) {
+      throw withExitCode(new Error(`发现 ${errors.length} 个错误${warnings.length > 0 ? `、${warnings.length} 个警告` : ''}`), EXIT_CODES.CONFIG);
+    }
+
+    console.log(chalk.green(`✓ 配置校验通过${warnings.length > 0 ? ` (${warnings.length} 个警告)` : ''}`));
   }
 }
 
 /**
  * 加载指定环境的配置
  */
-async function loadConfig(env) {
+async function loadConfig(env, serverName) {
+  const configManager = new ConfigManager();
+  return await configManager.loadConfig(env, serverName);
+}
+
+/**
+ * 加载指定环境下所有服务器的配置
+ */
+async function loadTargets(env, serverName) {
+  const configManager = new ConfigManager();
+  return await configManager.loadTargets(env, serverName);
+}
+
+/**
+ * 列出已配置的环境名称
+ */
+async function listEnvironments() {
   const configManager = new ConfigManager();
-  return await configManager.loadConfig(env);
+  return await configManager.listEnvironments();
 }
 
 const configManager = new ConfigManager();
 
 module.exports = {
   configManager,
-  loadConfig
+  loadConfig,
+  loadTargets,
+  listEnvironments,
+  expandHome
 };
\ No newline at end of file
@@ -1,75 +1,504 @@
+const os = require('os');
+const path = require('path');
 const chalk = require('chalk');
-const ora = require('ora');
 const inquirer = require('inquirer');
-const { execSync } = require('child_process');
+const packageInfo = require('../package.json');
+const logger = require('./logger');
 const { SSHConnection } = require('./ssh');
-const { loadConfig } = require('./config');
-const { validateEnvironment, getCurrentBranch, getGitStatus } = require('./utils');
+const { loadTargets, configManager } = require('./config');
+const {
+  validateEnvironment,
+  getCurrentBranch,
+  getCommitHash,
+  getCommitInfo,
+  getGitStatus,
+  formatFileSize,
+  runWithConcurrency
+} = require('./utils');
+const {
+  isReleaseMode,
+  getLivePath,
+  getCurrentRelease,
+  getReleasesDir,
+  createReleaseId,
+  prepareRelease,
+  switchRelease,
+  removeRelease,
+  cleanupReleases
+} = require('./release');
+const { createBackup, pruneBackups, restoreBackup } = require('./backup');
+const { runHooks, runLocalCommand } = require('./hooks');
+const {
+  startHistoryEntry,
+  finishHistoryEntry,
+  appendLocalHistory,
+  appendRemoteHistory
+} = require('./history');
+const { getHealthCheckOptions, waitForHealthy, runHealthCheck } = require('./health');
+const { getDeployStrategy, splitBatches, describeStrategy } = require('./strategy');
+const { uploadArchive, isArchiveUpload } = require('./archive');
+const { collectUploadFiles, createDeploymentPlan, printDeploymentPlan } = require('./plan');
+const { acquireLock } = require('./lock');
+const { createDeployEvent, notifyDeployEvent } = require('./notify');
+const { EXIT_CODES, isNonInteractive, withExitCode, getExitCode } = require('./ci');
+const {
+  DIRECTORY_UPLOAD_TYPES,
+  getIncrementalOptions,
+  listUploadFiles,
+  createLocalManifest,
+  readRemoteManifest,
+  writeRemoteManifest,
+  diffManifests,
+  sumSize
+} = require('./manifest');
 
 /**
  * 部署项目主函数
  */
 async function deployProject(options) {
-  const { env, branch = 'main', force = false, dryRun = false } = options;
+  const { env, branch = 'main', force = false, dryRun = false, full = false, json = false, server } = options;
+  const record = startHistoryEntry({ type: dryRun ? 'dry-run' : 'deploy', env, branch });
   
-  console.log(chalk.cyan(`\n🚀 开始部署到 ${env} 环境\n`));
+  if (!json) {
+    logger.info(chalk.cyan(`\n🚀 开始部署到 ${env} 环境\n`));
+  }
   
-  // 1. 验证环境
-  const spinner = ora('验证部署环境...').start();
+  let logFile = null;
+  // 确认部署后才发送通知，之后的失败都会通知
+  let notifyContext = null;
+  // 模拟部署的 JSON 计划本身就是结果
+  let planPrinted = false;
   try {
-    await validateEnvironment(env);
-    spinner.succeed('环境验证通过');
+    // 1. 验证环境
+    const spinner = logger.spinner('验证部署环境...').start();
+    try {
+      await validateEnvironment(env);
+      spinner.succeed('环境验证通过');
+    } catch (error) {
+      spinner.fail('环境验证失败');
+      throw error;
+    }
+    
+    // 2. 加载配置（环境下的所有服务器共用构建、钩子等配置，--server 时只部署该服务器）
+    const targets = await loadTargets(env, server);
+    const config = targets[0];
+    if (!config) {
+      throw withExitCode(new Error(`未找到 ${env} 环境的配置`), EXIT_CODES.CONFIG);
+    }
+    record.servers = targets.map(target => target.name);
+    
+    logFile = await logger.startLogFile(env, (config.global || {}).logging);
+    record.logFile = logFile || undefined;
+    logger.writeLog('info', `部署 ${env} 环境，分支 ${branch}，服务器 ${record.servers.join(', ')}`);
+    
+    // 模拟部署：只读检查服务器并输出部署计划，不拉取代码、不构建
+    if (dryRun) {
+      const plan = await createDeploymentPlan(targets, { env, branch, full });
+      if (json) {
+        console.log(JSON.stringify(plan, null, 2));
+        planPrinted = true;
+      } else {
+        printDeploymentPlan(plan);
+      }
+      if (!plan.ok) {
+        throw new Error(`模拟部署发现 ${plan.problems.length} 个问题`);
+      }
+      finishHistoryEntry(record, 'success');
+      return plan;
+    }
+    
+    // 3. Git状态检查
+    await checkGitStatus(branch, force);
+    
+    // 4. 确认部署信息（非交互模式下不确认）
+    if (!force && !isNonInteractive()) {
+      await confirmDeployment(env, branch, targets);
+    }
+    
+    notifyContext = { env, branch, config, record };
+    await publishDeployEvent('started', notifyContext);
+    
+    // 5. 执行部署流程
+    try {
+      // 本地钩子和构建只执行一次
+      await runHooks('beforeDeploy', config, {}, { location: 'local' });
+      await buildProject(config);
+      
+      const results = await deployToServers(targets, { branch, env, record, full });
+      record.results = results.map(({ error, rollback, ...result }) => ({
+        ...result,
+        error: error ? error.message : undefined
+      }));
+      
+      if (targets.length > 1) {
+        showServerResults(results);
+      }
+      
+      const failed = results.filter(result => result.status !== 'success');
+      if (failed.length === 1 && targets.length === 1) {
+        throw failed[0].error;
+      }
+      if (failed.length > 0) {
+        const names = failed.map(result => result.name).join(', ');
+        // 各服务器失败原因相同时使用对应的退出码
+        const codes = [...new Set(failed.filter(result => result.error).map(result => getExitCode(result.error)))];
+        const error = new Error(`${failed.length}/${targets.length} 台服务器未部署成功: ${names}`);
+        throw withExitCode(error, codes.length === 1 ? codes[0] : EXIT_CODES.FAILURE);
+      }
+    } catch (error) {
+      await runHooks('onFailure', config, {}, { location: 'local' }).catch(hookError => {
+        logger.warn(chalk.yellow(`⚠ ${hookError.message}`));
+      });
+      throw error;
+    }
+    
+    await runHooks('onSuccess', config, {}, { location: 'local' }).catch(error => {
+      logger.warn(chalk.yellow(`⚠ ${error.message}`));
+    });
+    
+    logger.info(chalk.green('\n🎉 部署完成！\n'));
+    logger.info(chalk.cyan('📝 部署信息:'));
+    logger.info(`  环境: ${env}`);
+    logger.info(`  分支: ${branch}`);
+    logger.info(`  时间: ${new Date().toLocaleString()}`);
+    
+    if (config.url) {
+      logger.info(chalk.cyan(`\n🌐 访问地址: ${config.url}`));
+    }
+    if (logFile) {
+      logger.info(chalk.gray(`完整日志: ${logFile}`));
+    }
+    
+    finishHistoryEntry(record, 'success');
+    await publishDeployEvent('success', notifyContext);
+    logger.event(createResultEvent(record));
   } catch (error) {
-    spinner.fail('环境验证失败');
+    finishHistoryEntry(record, getExitCode(error) === EXIT_CODES.CANCELLED ? 'cancelled' : 'failure', error);
+    logger.writeLog('error', `部署失败: ${error.message}`);
+    if (logFile && !json) {
+      logger.error(chalk.gray(`完整日志: ${logFile}`));
+    }
+    if (notifyContext) {
+      // 金丝雀部署失败后自动回滚时发送回滚通知
+      const rolledBack = (record.results || []).some(result => result.status === 'rolled-back');
+      await publishDeployEvent(rolledBack ? 'rollback' : 'failure', { ...notifyContext, error });
+    }
+    if (!planPrinted) {
+      logger.event(createResultEvent(record, error));
+    }
     throw error;
+  } finally {
+    await appendLocalHistory(record);
+    logger.stopLogFile();
   }
+}
+
+/**
+ * 发送部署通知，JSON 输出时同时输出事件
+ */
+async function publishDeployEvent(type, context) {
+  if (logger.isJsonOutput()) {
+    logger.event(createDeployEvent(type, context));
+  }
+  await notifyDeployEvent(type, context);
+}
+
+/**
+ * 部署结束时输出的 JSON 结果
+ */
+function createResultEvent(record, error) {
+  return {
+    event: 'result',
+    status: record.status,
+    exitCode: error ? getExitCode(error) : 0,
+    env: record.env,
+    branch: record.branch,
+    commit: record.commit,
+    servers: record.results || (record.servers || []).map(name => ({ name, status: 'skipped' })),
+    duration: record.duration,
+    logFile: record.logFile,
+    error: error ? error.message : undefined
+  };
+}
+
+/**
+ * 按部署策略将环境部署到各台服务器
+ * all: 按 global.concurrency 依次或并发部署，单台失败不影响其他服务器
+ * rolling: 分批部署，某批有服务器失败（含健康检查）则停止后续批次
+ * canary: 先部署部分服务器并观察健康状态，不健康时自动回滚这些服务器
+ * 返回每台服务器的结果，未部署的服务器状态为 skipped
+ */
+async function deployToServers(targets, { branch, env, record, full }) {
+  const global = targets[0].global || {};
+  const concurrency = Math.max(1, parseInt(global.concurrency, 10) || 1);
+  const strategy = getDeployStrategy(targets[0], targets.length);
+  const context = {
+    branch,
+    env,
+    record,
+    full,
+    // 所有服务器使用相同的版本号
+    release: createReleaseId(getCommitHash()),
+    showHost: targets.length > 1
+  };
   
-  // 2. 加载配置
-  const config = await loadConfig(env);
-  if (!config) {
-    throw new Error(`未找到 ${env} 环境的配置`);
+  const deployBatch = (batch, limit) => 
+    runWithConcurrency(batch, limit, target => deployToServer(target, context));
+  
+  if (strategy.type === 'rolling') {
+    const batches = splitBatches(targets, strategy.batchSize);
+    const results = [];
+    
+    for (let i = 0; i < batches.length; i++) {
+      const names = batches[i].map(target => target.name).join(', ');
+      logger.info(chalk.cyan(`\n📦 滚动部署第 ${i + 1}/${batches.length} 批: ${names}`));
+      
+      const batchResults = await deployBatch(batches[i], batches[i].length);
+      results.push(...batchResults);
+      
+      if (batchResults.some(result => result.status !== 'success')) {
+        logger.error(chalk.red('✗ 本批次部署失败，停止后续批次'));
+        results.push(...skipServers(targets.slice(results.length)));
+        break;
+      }
+    }
+    
+    return results;
+  }
+  
+  if (strategy.type === 'canary' && strategy.canaryCount < targets.length) {
+    const canaries = targets.slice(0, strategy.canaryCount);
+    const rest = targets.slice(strategy.canaryCount);
+    
+    logger.info(chalk.cyan(`\n🐤 金丝雀部署: ${canaries.map(target => target.name).join(', ')}`));
+    const canaryResults = await deployBatch(canaries, concurrency);
+    
+    if (canaryResults.some(result => result.status !== 'success')) {
+      return [...canaryResults, ...skipServers(rest)];
+    }
+    
+    const healthy = await monitorCanaries(canaries, strategy);
+    if (!healthy) {
+      if (strategy.autoRollback) {
+        await rollbackCanaries(canaries, canaryResults, env);
+      }
+      const reason = withExitCode(new Error('金丝雀健康检查失败，未部署'), EXIT_CODES.HEALTH_CHECK);
+      return [...canaryResults, ...skipServers(rest, reason)];
+    }
+    
+    logger.info(chalk.cyan(`\n🚀 金丝雀服务器健康，继续部署其余 ${rest.length} 台服务器`));
+    return [...canaryResults, ...await deployBatch(rest, concurrency)];
   }
   
-  // 3. Git状态检查
-  await checkGitStatus(branch, force);
+  return await deployBatch(targets, concurrency);
+}
+
+/**
+ * 部署到单台服务器，返回该服务器的结果（不抛出异常）
+ */
+async function deployToServer(target, context) {
+  const start = Date.now();
   
-  // 4. 确认部署信息
-  if (!force && !dryRun) {
-    await confirmDeployment(env, branch, config);
+  if (context.showHost) {
+    logger.info(chalk.cyan(`\n🖥️  部署到 ${target.name} (${target.host})\n`));
   }
   
-  if (dryRun) {
-    console.log(chalk.yellow('\n🧪 模拟部署模式，不会实际执行部署操作\n'));
-    await simulateDeployment(config, branch);
-    return;
+  let result = { name: target.name, host: target.host };
+  
+  try {
+    const { deployInfo, rollback } = await executeDeployment(target, context);
+    result = {
+      ...result,
+      status: 'success',
+      duration: Date.now() - start,
+      release: deployInfo.release,
+      rollback
+    };
+  } catch (error) {
+    result = {
+      ...result,
+      status: 'failure',
+      duration: Date.now() - start,
+      error
+    };
+  }
+  
+  logger.event({
+    event: 'server',
+    name: result.name,
+    host: result.host,
+    status: result.status,
+    duration: result.duration,
+    release: result.release,
+    error: result.error ? result.error.message : undefined
+  });
+  return result;
+}
+
+/**
+ * 未部署的服务器结果，error 为未部署的原因
+ */
+function skipServers(targets, error) {
+  return targets.map(target => ({
+    name: target.name,
+    host: target.host,
+    status: 'skipped',
+    duration: 0,
+    error
+  }));
+}
+
+/**
+ * 在观察期内定期对金丝雀服务器做健康检查，全部健康返回 true
+ */
+async function monitorCanaries(canaries, strategy) {
+  const checks = canaries
+    .map(target => ({ target, options: getHealthCheckOptions(target) }))
+    .filter(check => check.options);
+  
+  if (checks.length === 0) {
+    logger.warn(chalk.yellow('⚠ 金丝雀服务器未配置健康检查，仅等待观察期结束'));
+  }
+  
+  const deadline = Date.now() + strategy.duration * 1000;
+  const spinner = logger.spinner(`观察金丝雀服务器 (${strategy.duration} 秒)...`).start();
+  
+  while (Date.now() < deadline) {
+    // 最后一次等待截止到观察期结束
+    const wait = Math.max(0, Math.min(strategy.interval * 1000, deadline - Date.now()));
+    await new Promise(resolve => setTimeout(resolve, wait));
+    
+    for (const { target, options } of checks) {
+      // 重试次数按观察期剩余时间收紧，检查不会拖过观察期太久
+      const remaining = Math.max(0, deadline - Date.now());
+      const retries = Math.max(1, Math.min(options.retries, Math.floor(remaining / options.interval) + 1));
+      try {
+        await waitForHealthy({ ...options, retries });
+      } catch (error) {
+        spinner.fail(`金丝雀服务器 ${target.name} 不健康`);
+        logger.error(chalk.red(error.message));
+        return false;
+      }
+    }
+    
+    const remaining = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+    spinner.text = `观察金丝雀服务器，剩余 ${remaining} 秒...`;
+  }
+  
+  spinner.succeed('金丝雀服务器观察期内保持健康');
+  return true;
+}
+
+/**
+ * 将金丝雀服务器回滚到部署前的版本
+ */
+async function rollbackCanaries(canaries, results, env) {
+  for (const [index, target] of canaries.entries()) {
+    const result = results[index];
+    const spinner = logger.spinner(`回滚金丝雀服务器 ${target.name}...`).start();
+    
+    try {
+      await rollbackServer(target, result.rollback, env);
+      result.status = 'rolled-back';
+      result.error = withExitCode(new Error('金丝雀健康检查失败，已回滚'), EXIT_CODES.HEALTH_CHECK);
+      spinner.succeed(`已回滚金丝雀服务器 ${target.name}`);
+    } catch (error) {
+      result.status = 'failure';
+      result.error = withExitCode(new Error(`金丝雀健康检查失败，回滚失败: ${error.message}`), EXIT_CODES.HEALTH_CHECK);
+      spinner.fail(`回滚金丝雀服务器 ${target.name} 失败`);
+    }
+  }
+}
+
+/**
+ * 将服务器恢复到本次部署前的版本或备份并重启服务，回滚期间持有部署锁
+ */
+async function rollbackServer(config, rollback = {}, env) {
+  if (!rollback.release && !rollback.backup) {
+    throw new Error('没有部署前的版本可供回滚');
   }
   
-  // 5. 执行部署流程
-  await executeDeployment(config, branch, env);
+  const ssh = new SSHConnection(config);
+  await ssh.connect();
+  let lock = null;
   
-  console.log(chalk.green('\n🎉 部署完成！\n'));
-  console.log(chalk.cyan('📝 部署信息:'));
-  console.log(`  环境: ${env}`);
-  console.log(`  分支: ${branch}`);
-  console.log(`  时间: ${new Date().toLocaleString()}`);
+  try {
+    lock = await acquireLock(ssh, config, { env, operation: '回滚' });
+    await restorePreviousVersion(ssh, config, rollback);
+  } finally {
+    if (lock) {
+      await lock.release();
+    }
+    await ssh.disconnect();
+  }
+}
+
+/**
+ * 切换回部署前的版本（版本目录模式）或恢复部署前的备份，并重启服务
+ */
+async function restorePreviousVersion(ssh, config, rollback) {
+  if (rollback.release) {
+    await switchRelease(ssh, config, rollback.release);
+  } else {
+    await restoreBackup(ssh, config, rollback.backup);
+  }
+  await restartService(ssh, config);
+}
+
+/**
+ * 健康检查失败后恢复部署前的版本，恢复失败只做提示，部署仍按健康检查失败处理
+ */
+async function restoreAfterHealthCheck(ssh, config, rollback) {
+  if (!rollback.release && !rollback.backup) {
+    logger.warn(chalk.yellow('⚠ 没有部署前的版本，无法自动恢复'));
+    return;
+  }
   
-  if (config.url) {
-    console.log(chalk.cyan(`\n🌐 访问地址: ${config.url}`));
+  const spinner = logger.spinner('恢复部署前的版本...').start();
+  try {
+    await restorePreviousVersion(ssh, config, rollback);
+    spinner.succeed(`已恢复到部署前的版本: ${rollback.release || rollback.backup}`);
+  } catch (error) {
+    spinner.fail(`恢复部署前的版本失败: ${error.message}`);
   }
 }
 
+/**
+ * 显示各服务器的部署结果
+ */
+function showServerResults(results) {
+  const statusText = {
+    success: chalk.green('✓ 成功'),
+    failure: chalk.red('✗ 失败'),
+    'rolled-back': chalk.yellow('↺ 已回滚'),
+    skipped: chalk.gray('- 未部署')
+  };
+  
+  logger.info(chalk.cyan('\n📊 各服务器部署结果:'));
+  
+  results.forEach(result => {
+    const duration = `${(result.duration / 1000).toFixed(1)}s`;
+    logger.info(`  ${statusText[result.status]}  ${result.name} (${result.host})  ${duration}`);
+    if (result.error) {
+      logger.error(chalk.red(`         ${result.error.message}`));
+    }
+  });
+}
+
 /**
  * 检查Git状态
  */
 async function checkGitStatus(targetBranch, force) {
-  const spinner = ora('检查Git状态...').start();
+  const spinner = logger.spinner('检查Git状态...').start();
   
   try {
     const currentBranch = getCurrentBranch();
     const gitStatus = getGitStatus();
     
     // 检查是否有未提交的更改
-    if (gitStatus.hasUncommittedChanges && !force) {
+    if (gitStatus.hasUncommittedChanges && !force && isNonInteractive()) {
+      logger.warn(chalk.yellow('⚠ 发现未提交的更改，非交互模式下继续部署'));
+    } else if (gitStatus.hasUncommittedChanges && !force) {
       spinner.fail('发现未提交的更改');
       const { shouldContinue } = await inquirer.prompt([
         {
@@ -81,19 +510,19 @@ async function checkGitStatus(targetBranch, force) {
       ]);
       
       if (!shouldContinue) {
-        throw new Error('部署已取消');
+        throw withExitCode(new Error('部署已取消'), EXIT_CODES.CANCELLED);
       }
     }
     
     // 检查分支
     if (currentBranch !== targetBranch) {
       spinner.text = `切换到分支 ${targetBranch}...`;
-      execSync(`git checkout ${targetBranch}`, { stdio: 'inherit' });
+      runLocalCommand(`git checkout ${targetBranch}`);
     }
     
     // 拉取最新代码
     spinner.text = '拉取最新代码...';
-    execSync('git pull origin ' + targetBranch, { stdio: 'inherit' });
+    runLocalCommand('git pull origin ' + targetBranch);
     
     spinner.succeed(`Git状态检查完成 (分支: ${targetBranch})`);
     
@@ -103,15 +532,56 @@ async function checkGitStatus(targetBranch, force) {
   }
 }
 
+/**
+ * 列出部署时会上传的文件（deploy --list-files），基于当前的构建产物，不会构建和连接服务器
+ */
+async function listDeployFiles(options) {
+  const { env } = options;
+  await validateEnvironment(env);
+  
+  // 只需要上传规则，不解密服务器凭据
+  const [config] = await configManager.loadRawTargets(env);
+  if (!config) {
+    throw new Error(`未找到 ${env} 环境的配置`);
+  }
+  
+  const files = await collectUploadFiles(config);
+  const totalBytes = files.reduce((total, file) => total + (file.size || 0), 0);
+  
+  console.log(chalk.cyan(`\n📦 ${env} 环境将上传的文件 (${config.localPath}):\n`));
+  files.forEach(file => {
+    const size = file.size === null ? chalk.red('不存在') : formatFileSize(file.size);
+    console.log(`  ${file.path}  ${chalk.gray(size)}`);
+  });
+  console.log(chalk.cyan(`\n共 ${files.length} 个文件，${formatFileSize(totalBytes)}`));
+  
+  return files;
+}
+
 /**
  * 确认部署信息
  */
-async function confirmDeployment(env, branch, config) {
-  console.log(chalk.yellow('\n📋 部署信息确认:'));
-  console.log(`  环境: ${chalk.cyan(env)}`);
-  console.log(`  分支: ${chalk.cyan(branch)}`);
-  console.log(`  服务器: ${chalk.cyan(config.host)}`);
-  console.log(`  部署路径: ${chalk.cyan(config.deployPath)}`);
+async function confirmDeployment(env, branch, targets) {
+  const config = targets[0];
+  
+  logger.info(chalk.yellow('\n📋 部署信息确认:'));
+  logger.info(`  环境: ${chalk.cyan(env)}`);
+  logger.info(`  分支: ${chalk.cyan(branch)}`);
+  if (targets.length === 1) {
+    logger.info(`  服务器: ${chalk.cyan(config.host)}`);
+  } else {
+    logger.info(`  服务器: ${chalk.cyan(`${targets.length} 台`)}`);
+    targets.forEach(target => {
+      logger.info(`    - ${target.name} (${target.host})`);
+    });
+  }
+  logger.info(`  部署路径: ${chalk.cyan(config.deployPath)}`);
+  if (targets.length > 1) {
+    logger.info(`  部署策略: ${chalk.cyan(describeStrategy(getDeployStrategy(config, targets.length)))}`);
+  }
+  if (isReleaseMode(config)) {
+    logger.info(`  部署方式: ${chalk.cyan('版本目录 (releases + current 软链)')}`);
+  }
   
   const { confirmed } = await inquirer.prompt([
     {
@@ -123,83 +593,207 @@ async function confirmDeployment(env, branch, config) {
   ]);
   
   if (!confirmed) {
-    throw new Error('部署已取消');
+    throw withExitCode(new Error('部署已取消'), EXIT_CODES.CANCELLED);
   }
 }
 
-/**
- * 模拟部署
- */
-async function simulateDeployment(config, branch) {
-  const steps = [
-    '构建项目',
-    '连接服务器',
-    '备份当前版本',
-    '上传新版本',
-    '安装依赖',
-    '重启服务',
-    '验证部署结果'
-  ];
-  
-  for (const step of steps) {
-    const spinner = ora(`模拟: ${step}...`).start();
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    spinner.succeed(`模拟: ${step} 完成`);
-  }
-  
-  console.log(chalk.green('\n✅ 模拟部署完成，所有步骤验证通过'));
-}
-
 /**
  * 执行实际部署
  */
-async function executeDeployment(config, branch, env) {
+async function executeDeployment(config, { branch, env, record, release, full }) {
   let ssh;
+  let lock = null;
+  const releaseMode = isReleaseMode(config);
+  let releaseId = null;
+  let released = false;
+  let backup = null;
+  let previousRelease = null;
+  // 远程钩子的默认工作目录
+  const hookContext = { remotePath: config.deployPath };
+  // 各步骤耗时（毫秒）
+  const durations = {};
+  const startedAt = new Date();
+  // 本地钩子由 deployProject 统一执行一次
+  const remoteOnly = { location: 'remote' };
+  const serverRecord = { ...record, servers: undefined, logFile: undefined, server: config.name };
   
   try {
-    // 1. 构建项目
-    await buildProject(config);
-    
-    // 2. 连接服务器
+    // 1. 连接服务器
     ssh = new SSHConnection(config);
-    await ssh.connect();
+    await timeStep(durations, 'connect', () => ssh.connect());
+    hookContext.ssh = ssh;
+    
+    // 获取部署锁，防止多人同时部署同一台服务器
+    lock = await acquireLock(ssh, config, { env, branch });
     
-    // 3. 备份当前版本
-    await backupCurrentVersion(ssh, config);
+    await timeStep(durations, 'beforeDeploy', () => runHooks('beforeDeploy', config, hookContext, remoteOnly));
     
-    // 4. 上传新版本
-    await uploadFiles(ssh, config);
+    // 2. 准备目标目录：版本目录模式下创建新版本，否则备份当前版本
+    let targetPath = config.deployPath;
+    // 增量上传时对比的服务器目录（版本目录模式下为当前版本）
+    let basePath = config.deployPath;
+    if (releaseMode) {
+      previousRelease = await getCurrentRelease(ssh, config);
+      releaseId = release || createReleaseId(getCommitHash());
+      targetPath = await timeStep(durations, 'prepare', () => prepareRelease(ssh, config, releaseId));
+      basePath = previousRelease ? `${getReleasesDir(config)}/${previousRelease}` : null;
+    } else {
+      backup = await timeStep(durations, 'backup', () => backupCurrentVersion(ssh, config));
+    }
+    hookContext.remotePath = targetPath;
     
-    // 5. 安装依赖和构建
-    await installAndBuild(ssh, config);
+    // 3. 上传新版本
+    await timeStep(durations, 'upload', () => uploadFiles(ssh, config, targetPath, { basePath, full }));
+    
+    await timeStep(durations, 'afterUpload', () => runHooks('afterUpload', config, hookContext, remoteOnly));
+    
+    // 4. 安装依赖和构建
+    await timeStep(durations, 'install', () => installAndBuild(ssh, config, targetPath));
+    
+    // 5. 切换版本
+    if (releaseMode) {
+      await timeStep(durations, 'switch', () => activateRelease(ssh, config, releaseId));
+      released = true;
+      hookContext.remotePath = getLivePath(config);
+    }
     
     // 6. 重启服务
-    await restartService(ssh, config);
+    await timeStep(durations, 'restart', () => restartService(ssh, config));
+    
+    await timeStep(durations, 'afterDeploy', () => runHooks('afterDeploy', config, hookContext, remoteOnly));
+    
+    // 7. 健康检查，不健康时 current 指回上一版本（原地部署时恢复备份）
+    try {
+      await timeStep(durations, 'healthCheck', () => runHealthCheck(config));
+    } catch (error) {
+      await restoreAfterHealthCheck(ssh, config, { release: previousRelease, backup: backup && backup.id });
+      throw error;
+    }
     
-    // 7. 验证部署
-    await verifyDeployment(ssh, config);
+    // 8. 验证部署
+    await timeStep(durations, 'verify', () => verifyDeployment(ssh, config));
     
+    // 9. 写入部署信息和部署历史
+    const deployInfo = createDeployInfo({ env, branch, releaseId, startedAt, durations });
+    await writeDeployInfo(ssh, config, deployInfo);
+    
+    Object.assign(serverRecord, {
+      commit: deployInfo.commit,
+      shortCommit: deployInfo.shortCommit,
+      release: deployInfo.release
+    });
+    await appendRemoteHistory(ssh, config, finishHistoryEntry(serverRecord, 'success'));
+    
+    // 10. 清理旧版本/旧备份
+    if (releaseMode) {
+      await cleanupOldReleases(ssh, config);
+    } else if (backup) {
+      await cleanupOldBackups(ssh, config, backup);
+    }
+    
+    // 部署已完成，onSuccess 钩子失败只做提示
+    await runHooks('onSuccess', config, hookContext, remoteOnly).catch(error => {
+      logger.warn(chalk.yellow(`⚠ ${error.message}`));
+    });
+    
+    return {
+      deployInfo,
+      // 回滚到本次部署前状态所需的信息
+      rollback: { release: previousRelease, backup: backup && backup.id }
+    };
+    
+  } catch (error) {
+    // 没有获得部署锁（连接失败或其他部署正在进行）时不能修改服务器
+    if (!lock) {
+      throw error;
+    }
+    
+    // 未切换的版本目录是半成品，直接删除
+    if (ssh && releaseId && !released) {
+      await removeRelease(ssh, config, releaseId).catch(() => {});
+    }
+    
+    await runHooks('onFailure', config, hookContext, remoteOnly).catch(hookError => {
+      logger.warn(chalk.yellow(`⚠ ${hookError.message}`));
+    });
+    
+    if (ssh && ssh.connected) {
+      await appendRemoteHistory(ssh, config, finishHistoryEntry(serverRecord, 'failure', error));
+    }
+    
+    throw error;
   } finally {
+    if (lock) {
+      await lock.release();
+    }
     if (ssh) {
       await ssh.disconnect();
     }
   }
 }
 
+/**
+ * 执行步骤并记录耗时
+ */
+async function timeStep(durations, name, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    durations[name] = Date.now() - start;
+  }
+}
+
+/**
+ * 生成部署信息 (.deploy-info)
+ */
+function createDeployInfo({ env, branch, releaseId, startedAt, durations }) {
+  const commit = getCommitInfo();
+  const finishedAt = new Date();
+  
+  return {
+    environment: env,
+    branch,
+    commit: commit.hash,
+    shortCommit: commit.shortHash,
+    commitMessage: commit.message,
+    release: releaseId || undefined,
+    user: os.userInfo().username,
+    host: os.hostname(),
+    cliVersion: packageInfo.version,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    duration: finishedAt - startedAt,
+    durations
+  };
+}
+
+/**
+ * 将部署信息写入线上目录的 .deploy-info
+ */
+async function writeDeployInfo(ssh, config, deployInfo) {
+  try {
+    const deployInfoFile = `${getLivePath(config)}/.deploy-info`;
+    await ssh.writeFile(deployInfoFile, JSON.stringify(deployInfo, null, 2) + '\n');
+  } catch (error) {
+    logger.warn(chalk.yellow(`⚠ 写入部署信息失败: ${error.message}`));
+  }
+}
+
 /**
  * 构建项目
  */
 async function buildProject(config) {
-  const spinner = ora('构建项目...').start();
+  const spinner = logger.spinner('构建项目...').start();
   
   try {
     if (config.buildCommand) {
-      execSync(config.buildCommand, { stdio: 'inherit' });
+      runLocalCommand(config.buildCommand);
     }
     spinner.succeed('项目构建完成');
   } catch (error) {
     spinner.fail('项目构建失败');
-    throw error;
+    throw withExitCode(error, EXIT_CODES.BUILD);
   }
 }
 
@@ -207,16 +801,22 @@ async function buildProject(config) {
  * 备份当前版本
  */
 async function backupCurrentVersion(ssh, config) {
-  const spinner = ora('备份当前版本...').start();
+  if (config.backup && config.backup.enabled === false) {
+    return;
+  }
+  
+  const spinner = logger.spinner('备份当前版本...').start();
   
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = `${config.backupPath}/backup-${timestamp}`;
+    const backup = await createBackup(ssh, config);
     
-    await ssh.exec(`mkdir -p ${config.backupPath}`);
-    await ssh.exec(`cp -r ${config.deployPath} ${backupPath}`);
+    if (!backup) {
+      spinner.info('部署目录不存在，跳过备份');
+      return null;
+    }
     
-    spinner.succeed(`当前版本已备份到: ${backupPath}`);
+    spinner.succeed(`当前版本已备份到: ${backup.path}`);
+    return backup;
   } catch (error) {
     spinner.fail('备份失败');
     throw error;
@@ -226,18 +826,34 @@ async function backupCurrentVersion(ssh, config) {
 /**
  * 上传文件
  */
-async function uploadFiles(ssh, config) {
-  const spinner = ora('上传文件...').start();
+async function uploadFiles(ssh, config, targetPath = config.deployPath, options = {}) {
+  const spinner = logger.spinner('上传文件...').start();
+  const incremental = getIncrementalOptions(config);
+  // 所有文件汇总为一个进度条显示在 spinner 中
+  const transferOptions = {
+    onProgress: (text) => {
+      spinner.text = `上传文件 ${text}`;
+    }
+  };
   
   try {
     // 确保部署目录存在
-    await ssh.exec(`mkdir -p ${config.deployPath}`);
+    await ssh.exec(`mkdir -p ${targetPath}`);
     
     // 上传文件（根据项目类型选择上传方式）
-    if (config.uploadType === 'rsync') {
-      await ssh.uploadDirectory(config.localPath, config.deployPath);
+    if (DIRECTORY_UPLOAD_TYPES.includes(config.uploadType) && incremental) {
+      spinner.text = '对比文件清单...';
+      const summary = await uploadChangedFiles(ssh, config, targetPath, {
+        basePath: options.full ? null : options.basePath,
+        deleteRemoved: incremental.deleteRemoved,
+        transferOptions
+      });
+      spinner.succeed(summary);
+      return;
+    } else if (DIRECTORY_UPLOAD_TYPES.includes(config.uploadType)) {
+      await transferFiles(ssh, config, targetPath, null, transferOptions);
     } else {
-      await ssh.uploadFiles(config.files, config.deployPath);
+      await ssh.uploadFiles(config.files, targetPath, transferOptions);
     }
     
     spinner.succeed('文件上传完成');
@@ -247,34 +863,145 @@ async function uploadFiles(ssh, config) {
   }
 }
 
+/**
+ * 上传 localPath 中的文件到目标目录，files 为相对路径列表，不指定时上传 listUploadFiles 列出的文件
+ * archive 模式打包为 tar.gz 上传后解压，关闭压缩或服务器没有 tar 时逐个文件上传
+ * options.onProgress 接收上传进度
+ */
+async function transferFiles(ssh, config, targetPath, files = null, options = {}) {
+  files = files || await listUploadFiles(config);
+  if (files.length === 0) {
+    return;
+  }
+  
+  if (isArchiveUpload(config)) {
+    const compression = (config.advanced || {}).compression || {};
+    if (compression.algorithm && compression.algorithm !== 'gzip') {
+      throw new Error(`不支持的压缩算法: ${compression.algorithm} (仅支持 gzip)`);
+    }
+    
+    const archive = await uploadArchive(ssh, config.localPath, targetPath, files, options);
+    if (archive) {
+      logger.info(chalk.green(`✓ 压缩上传 ${archive.files} 个文件 (压缩包 ${formatFileSize(archive.size)})`));
+      return;
+    }
+  }
+  
+  await ssh.uploadFiles(files.map(file => ({
+    local: path.join(config.localPath, file),
+    remote: file
+  })), targetPath, options);
+}
+
+/**
+ * 增量上传：对比服务器上的文件清单，只上传新增和修改的文件，返回上传摘要
+ * 版本目录模式下先复制当前版本作为基础；服务器上没有清单（或 --full）时完整上传
+ */
+async function uploadChangedFiles(ssh, config, targetPath, { basePath, deleteRemoved, transferOptions }) {
+  const local = await createLocalManifest(config.localPath, await listUploadFiles(config));
+  const allFiles = Object.keys(local.files);
+  const totalBytes = sumSize(local, allFiles);
+  const remote = basePath ? await readRemoteManifest(ssh, basePath) : null;
+  
+  if (!remote) {
+    await transferFiles(ssh, config, targetPath, null, transferOptions);
+    await writeRemoteManifest(ssh, targetPath, local);
+    return `完整上传: ${allFiles.length} 个文件，${formatFileSize(totalBytes)}`;
+  }
+  
+  if (basePath !== targetPath) {
+    await ssh.exec(`cp -a "${basePath}/." "${targetPath}/"`);
+  }
+  
+  const diff = diffManifests(local, remote);
+  const uploads = [...diff.added, ...diff.changed];
+  
+  await transferFiles(ssh, config, targetPath, uploads, transferOptions);
+  
+  if (deleteRemoved && diff.removed.length > 0) {
+    await ssh.removeFiles(targetPath, diff.removed);
+  }
+  
+  await writeRemoteManifest(ssh, targetPath, local);
+  
+  const removedText = deleteRemoved ? 
+    `删除 ${diff.removed.length}` : 
+    `已移除 ${diff.removed.length} (未删除)`;
+  return `增量上传: 新增 ${diff.added.length}，修改 ${diff.changed.length}，${removedText}，` +
+    `未变 ${diff.unchanged.length}；传输 ${formatFileSize(sumSize(local, uploads))} / 共 ${formatFileSize(totalBytes)}`;
+}
+
 /**
  * 安装依赖和构建
  */
-async function installAndBuild(ssh, config) {
-  const spinner = ora('安装依赖...').start();
+async function installAndBuild(ssh, config, targetPath = config.deployPath) {
+  const spinner = logger.spinner('安装依赖...').start();
   
   try {
     // 切换到部署目录
-    await ssh.exec(`cd ${config.deployPath}`);
+    await ssh.exec(`cd ${targetPath}`);
     
     // 安装依赖
     if (config.installCommand) {
-      await ssh.exec(`cd ${config.deployPath} && ${config.installCommand}`);
+      await ssh.exec(`cd ${targetPath} && ${config.installCommand}`);
     }
     
     // 执行构建命令
     if (config.buildCommandRemote) {
       spinner.text = '执行远程构建...';
-      await ssh.exec(`cd ${config.deployPath} && ${config.buildCommandRemote}`);
+      await ssh.exec(`cd ${targetPath} && ${config.buildCommandRemote}`);
     }
     
     spinner.succeed('依赖安装和构建完成');
   } catch (error) {
     spinner.fail('依赖安装失败');
+    throw withExitCode(error, EXIT_CODES.BUILD);
+  }
+}
+
+/**
+ * 切换 current 软链到新版本
+ */
+async function activateRelease(ssh, config, releaseId) {
+  const spinner = logger.spinner('切换版本...').start();
+  
+  try {
+    await switchRelease(ssh, config, releaseId);
+    spinner.succeed(`已切换到版本: ${releaseId}`);
+  } catch (error) {
+    spinner.fail('版本切换失败');
     throw error;
   }
 }
 
+/**
+ * 清理旧版本目录
+ */
+async function cleanupOldReleases(ssh, config) {
+  try {
+    const removed = await cleanupReleases(ssh, config);
+    if (removed.length > 0) {
+      logger.info(chalk.gray(`已清理 ${removed.length} 个旧版本`));
+    }
+  } catch (error) {
+    logger.warn(chalk.yellow(`⚠ 清理旧版本失败: ${error.message}`));
+  }
+}
+
+/**
+ * 清理超出保留数量的旧备份（刚创建的备份不会被删除）
+ */
+async function cleanupOldBackups(ssh, config, backup) {
+  try {
+    const removed = await pruneBackups(ssh, config, undefined, [backup.id]);
+    if (removed.length > 0) {
+      logger.info(chalk.gray(`已清理 ${removed.length} 个旧备份`));
+    }
+  } catch (error) {
+    logger.warn(chalk.yellow(`⚠ 清理旧备份失败: ${error.message}`));
+  }
+}
+
 /**
  * 重启服务
  */
@@ -283,13 +1010,17 @@ async function restartService(ssh, config) {
     return;
   }
   
-  const spinner = ora('重启服务...').start();
+  const spinner = logger.spinner('重启服务...').start();
   
   try {
     await ssh.exec(config.restartCommand);
     
-    // 等待服务启动
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    // 等待服务启动，配置了健康检查时由健康检查轮询等待
+    const defaultDelay = getHealthCheckOptions(config) ? 0 : 3000;
+    const restartDelay = config.restartDelay !== undefined ? config.restartDelay : defaultDelay;
+    if (restartDelay > 0) {
+      await new Promise(resolve => setTimeout(resolve, restartDelay));
+    }
     
     spinner.succeed('服务重启完成');
   } catch (error) {
@@ -302,21 +1033,24 @@ async function restartService(ssh, config) {
  * 验证部署结果
  */
 async function verifyDeployment(ssh, config) {
-  const spinner = ora('验证部署结果...').start();
+  const spinner = logger.spinner('验证部署结果...').start();
   
   try {
     if (config.verifyCommand) {
       const result = await ssh.exec(config.verifyCommand);
-      console.log('验证结果:', result);
+      logger.info(`验证结果: ${result}`);
     }
     
     spinner.succeed('部署验证通过');
   } catch (error) {
     spinner.warn('部署验证失败，但部署可能已完成');
-    console.log('验证错误:', error.message);
+    logger.warn(`验证错误: ${error.message}`);
   }
 }
 
 module.exports = {
-  deployProject
+  deployProject,
+  listDeployFiles,
+  restartService,
+  verifyDeployment
 };
\ No newline at end of file
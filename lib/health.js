@@ -0,0 +1,124 @@
+const { request } = require('./http');
+const { checkPort } = require('./utils');
+const logger = require('./logger');
+const { EXIT_CODES, withExitCode } = require('./ci');
+
+/**
+ * 获取健康检查配置，未配置 url 或 port 时返回 null
+ */
+function getHealthCheckOptions(config) {
+  const healthCheck = config.healthCheck;
+  if (!healthCheck || (!healthCheck.url && !healthCheck.port)) {
+    return null;
+  }
+
+  return {
+    url: healthCheck.url,
+    host: healthCheck.host || config.host,
+    port: healthCheck.port,
+    timeout: healthCheck.timeout || 10000,
+    retries: Math.max(1, healthCheck.retries || 3),
+    interval: healthCheck.interval !== undefined ? healthCheck.interval : 5000,
+    expectedStatus: healthCheck.expectedStatus,
+    expectedBody: healthCheck.expectedBody
+  };
+}
+
+/**
+ * 判断响应状态码是否符合预期，未配置时 2xx/3xx 视为健康
+ */
+function isExpectedStatus(status, expectedStatus) {
+  if (expectedStatus === undefined || expectedStatus === null) {
+    return status >= 200 && status < 400;
+  }
+
+  const expected = Array.isArray(expectedStatus) ? expectedStatus : [expectedStatus];
+  return expected.map(Number).includes(status);
+}
+
+/**
+ * 执行一次检查，返回 { healthy, message }
+ */
+async function probe(options) {
+  if (!options.url) {
+    const open = await checkPort(options.host, options.port);
+    return {
+      healthy: open,
+      message: open ? `端口 ${options.port} 可连接` : `端口 ${options.port} 无法连接`
+    };
+  }
+
+  try {
+    const response = await request(options.url, { timeout: options.timeout });
+
+    if (!isExpectedStatus(response.status, options.expectedStatus)) {
+      return { healthy: false, message: `HTTP ${response.status}` };
+    }
+
+    if (options.expectedBody && !response.body.includes(options.expectedBody)) {
+      return { healthy: false, message: `HTTP ${response.status}，响应内容不包含 "${options.expectedBody}"` };
+    }
+
+    return { healthy: true, message: `HTTP ${response.status}` };
+  } catch (error) {
+    return { healthy: false, message: error.message };
+  }
+}
+
+/**
+ * 轮询健康检查直到成功或重试次数用完
+ * 返回每次检查的结果，全部失败时抛出包含检查记录的错误
+ */
+async function waitForHealthy(options, onAttempt = () => {}) {
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= options.retries; attempt++) {
+    const result = await probe(options);
+    attempts.push({ attempt, ...result, time: new Date().toISOString() });
+    onAttempt(attempt, result);
+
+    if (result.healthy) {
+      return attempts;
+    }
+
+    if (attempt < options.retries) {
+      await new Promise(resolve => setTimeout(resolve, options.interval));
+    }
+  }
+
+  const target = options.url || `${options.host}:${options.port}`;
+  const report = attempts.map(item => `  #${item.attempt} ${item.message}`).join('\n');
+  const error = new Error(`健康检查失败: ${target} 在 ${options.retries} 次检查后仍不健康\n${report}`);
+  error.attempts = attempts;
+  throw error;
+}
+
+/**
+ * 部署后的健康检查步骤，未配置 healthCheck 时跳过
+ */
+async function runHealthCheck(config) {
+  const options = getHealthCheckOptions(config);
+  if (!options) {
+    return null;
+  }
+
+  const target = options.url || `${options.host}:${options.port}`;
+  const spinner = logger.spinner(`健康检查 ${target}...`).start();
+
+  try {
+    const attempts = await waitForHealthy(options, (attempt, result) => {
+      spinner.text = `健康检查 ${target} (${attempt}/${options.retries}): ${result.message}`;
+    });
+    spinner.succeed(`健康检查通过: ${target}`);
+    return attempts;
+  } catch (error) {
+    spinner.fail('健康检查失败');
+    throw withExitCode(error, EXIT_CODES.HEALTH_CHECK);
+  }
+}
+
+module.exports = {
+  getHealthCheckOptions,
+  waitForHealthy,
+  runHealthCheck
+};
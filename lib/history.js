@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const { loadTargets } = require('./config');
+const { SSHConnection } = require('./ssh');
+const { getStateDir } = require('./release');
+const { getCommitInfo, formatTime } = require('./utils');
+const logger = require('./logger');
+
+const HISTORY_FILE = path.join(os.homedir(), '.deploy-cli', 'history.jsonl');
+
+/**
+ * 创建一条历史记录（部署/模拟部署/回滚开始时调用）
+ */
+function startHistoryEntry(fields) {
+  const startedAt = new Date();
+
+  return {
+    id: `${startedAt.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type: 'deploy',
+    operator: os.userInfo().username,
+    host: os.hostname(),
+    startedAt: startedAt.toISOString(),
+    ...fields
+  };
+}
+
+/**
+ * 填写结果并结束记录，已结束的记录保持不变
+ */
+function finishHistoryEntry(entry, status, error) {
+  if (entry.status) {
+    return entry;
+  }
+
+  const finishedAt = new Date();
+
+  if (entry.commit === undefined) {
+    const commit = getCommitInfo();
+    entry.commit = commit.hash;
+    entry.shortCommit = commit.shortHash;
+  }
+
+  entry.status = status;
+  entry.finishedAt = finishedAt.toISOString();
+  entry.duration = finishedAt - new Date(entry.startedAt);
+  if (error) {
+    entry.error = error.message;
+  }
+
+  return entry;
+}
+
+/**
+ * 追加到本地历史 (~/.deploy-cli/history.jsonl)
+ */
+async function appendLocalHistory(entry) {
+  try {
+    await fs.ensureDir(path.dirname(HISTORY_FILE));
+    await fs.appendFile(HISTORY_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    logger.warn(chalk.yellow(`⚠ 写入本地部署历史失败: ${error.message}`));
+  }
+}
+
+/**
+ * 追加到服务器上的部署历史
+ */
+async function appendRemoteHistory(ssh, config, entry) {
+  try {
+    const stateDir = getStateDir(config);
+    await ssh.exec(`mkdir -p "${stateDir}"`);
+    await ssh.writeFile(`${stateDir}/history.jsonl`, JSON.stringify(entry) + '\n', { append: true });
+  } catch (error) {
+    logger.warn(chalk.yellow(`⚠ 写入服务器部署历史失败: ${error.message}`));
+  }
+}
+
+/**
+ * 解析 JSON Lines 内容，忽略损坏的行
+ */
+function parseHistory(content) {
+  return content.split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 读取本地部署历史
+ */
+async function readLocalHistory() {
+  if (!(await fs.pathExists(HISTORY_FILE))) {
+    return [];
+  }
+
+  return parseHistory(await fs.readFile(HISTORY_FILE, 'utf8'));
+}
+
+/**
+ * 读取服务器上的部署历史
+ */
+async function readRemoteHistory(ssh, config) {
+  const content = await ssh.exec(`cat "${getStateDir(config)}/history.jsonl" 2>/dev/null || true`);
+  return parseHistory(content);
+}
+
+/**
+ * 按环境筛选并取最近 limit 条（从新到旧）
+ */
+function filterHistory(entries, { env, limit } = {}) {
+  const filtered = entries
+    .filter(entry => !env || entry.env === env)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  return limit ? filtered.slice(0, limit) : filtered;
+}
+
+/**
+ * 格式化一条历史记录用于显示
+ */
+function formatHistoryEntry(entry) {
+  const statusText = {
+    success: chalk.green('✓ 成功'),
+    failure: chalk.red('✗ 失败'),
+    cancelled: chalk.yellow('- 取消')
+  }[entry.status] || chalk.gray(entry.status || '未知');
+
+  const typeText = { deploy: '部署', 'dry-run': '模拟', rollback: '回滚' }[entry.type] || entry.type;
+  const time = new Date(entry.startedAt).toLocaleString();
+  const duration = entry.duration !== undefined ? formatTime(Math.round(entry.duration / 1000)) : '-';
+
+  const lines = [
+    `${statusText}  ${chalk.cyan(typeText)}  ${entry.env}  ${time}`,
+    `   提交: ${entry.shortCommit || entry.commit || '未知'}  分支: ${entry.branch || '-'}  ` +
+      `操作人: ${entry.operator}@${entry.host}  耗时: ${duration}`
+  ];
+
+  const servers = entry.server || (entry.servers || []).join(', ');
+  if (servers) {
+    lines.push(`   服务器: ${servers}`);
+  }
+  if (entry.target) {
+    lines.push(`   目标: ${entry.target}`);
+  }
+  if (entry.error) {
+    lines.push(chalk.red(`   原因: ${entry.error}`));
+  }
+  if (entry.logFile) {
+    lines.push(chalk.gray(`   日志: ${entry.logFile}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 显示部署历史
+ */
+async function showHistory(options) {
+  const { env, server, remote = false, json = false } = options;
+  const limit = parseInt(options.limit, 10) || 20;
+
+  let entries;
+  if (remote) {
+    if (!env) {
+      throw new Error('查看服务器部署历史需要指定环境 (-e)');
+    }
+
+    // 合并环境中各服务器上的记录（--server 时只读取指定服务器）
+    entries = [];
+    for (const config of await loadTargets(env, server)) {
+      const ssh = new SSHConnection(config);
+      await ssh.connect();
+      try {
+        entries.push(...await readRemoteHistory(ssh, config));
+      } finally {
+        await ssh.disconnect();
+      }
+    }
+  } else {
+    entries = await readLocalHistory();
+  }
+
+  const history = filterHistory(entries, { env, limit });
+
+  if (json) {
+    console.log(JSON.stringify(history, null, 2));
+    return;
+  }
+
+  const source = remote ? '服务器' : '本地';
+  console.log(chalk.cyan(`\n📜 ${env ? `${env} 环境` : '全部环境'}部署历史 (${source}，最近 ${limit} 条)\n`));
+
+  if (history.length === 0) {
+    console.log(chalk.yellow('暂无部署记录'));
+    return;
+  }
+
+  history.forEach(entry => {
+    console.log(formatHistoryEntry(entry));
+    console.log('');
+  });
+}
+
+module.exports = {
+  HISTORY_FILE,
+  startHistoryEntry,
+  finishHistoryEntry,
+  appendLocalHistory,
+  appendRemoteHistory,
+  readLocalHistory,
+  readRemoteHistory,
+  filterHistory,
+  formatHistoryEntry,
+  showHistory
+};
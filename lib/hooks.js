@@ -0,0 +1,164 @@
+const chalk = require('chalk');
+const { execSync } = require('child_process');
+const logger = require('./logger');
+
+// 支持的钩子阶段，beforeDeploy 默认在本地执行，其余默认在服务器上执行
+const HOOK_STAGES = ['beforeDeploy', 'afterUpload', 'afterDeploy', 'onSuccess', 'onFailure'];
+const LOCAL_STAGES = ['beforeDeploy'];
+// 这些阶段中单个钩子失败不影响后续钩子
+const CONTINUE_STAGES = ['onFailure'];
+
+/**
+ * 将钩子配置统一为对象形式
+ * 钩子可以是命令字符串，或 { command, local, cwd, timeout, continueOnError }
+ * 未设置 timeout 的钩子不限时（global.timeout 只用于 SSH 连接）
+ */
+function normalizeHooks(stage, hooks) {
+  if (!hooks) {
+    return [];
+  }
+
+  const list = Array.isArray(hooks) ? hooks : [hooks];
+
+  return list.filter(Boolean).map(hook => {
+    const item = typeof hook === 'string' ? { command: hook } : { ...hook };
+
+    if (!item.command) {
+      throw new Error(`${stage} 钩子缺少 command`);
+    }
+
+    return {
+      command: item.command,
+      local: item.local !== undefined ? Boolean(item.local) : LOCAL_STAGES.includes(stage),
+      cwd: item.cwd,
+      timeout: item.timeout || undefined,
+      continueOnError: item.continueOnError !== undefined ? 
+        Boolean(item.continueOnError) : 
+        CONTINUE_STAGES.includes(stage)
+    };
+  });
+}
+
+// 命令失败时错误信息中附带的输出行数
+const FAILURE_OUTPUT_LINES = 20;
+
+/**
+ * 取命令输出的最后几行（优先 stderr，为空时取 stdout）
+ */
+function getOutputTail(error) {
+  const output = String(error.stderr || '').trim() || String(error.stdout || '').trim();
+  if (!output) {
+    return '';
+  }
+  return output.split('\n').slice(-FAILURE_OUTPUT_LINES).map(line => `  ${line}`).join('\n');
+}
+
+/**
+ * 在本地执行命令，命令、退出码和输出写入日志文件，输出在控制台以 debug 级别显示
+ * 失败时错误信息包含退出码和输出的最后几行，不需要 --verbose 也能看到失败原因
+ */
+function runLocalCommand(command, options = {}) {
+  logger.debug(chalk.gray(`执行本地命令: ${command}`));
+
+  try {
+    const output = execSync(command, {
+      cwd: options.cwd,
+      timeout: options.timeout,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['inherit', 'pipe', 'pipe']
+    });
+    logger.writeLog('debug', '退出码 0');
+    if (output) {
+      logger.debug(chalk.gray(output));
+    }
+    return output;
+  } catch (error) {
+    logger.writeLog('debug', `退出码 ${error.status !== null && error.status !== undefined ? error.status : error.signal}`);
+    if (error.stdout) {
+      logger.debug(chalk.gray(error.stdout));
+    }
+    if (error.stderr) {
+      logger.debug(chalk.gray(`stderr: ${error.stderr}`));
+    }
+
+    const reason = error.code === 'ETIMEDOUT' ?
+      `超时 ${options.timeout}ms` :
+      `退出码 ${error.status !== null && error.status !== undefined ? error.status : error.signal}`;
+    const tail = getOutputTail(error);
+    error.message = `本地命令执行失败 (${reason})${tail ? `，输出最后 ${tail.split('\n').length} 行:\n${tail}` : ''}`;
+    throw error;
+  }
+}
+
+/**
+ * 在本地执行钩子
+ */
+function runLocalHook(hook, config) {
+  runLocalCommand(hook.command, {
+    cwd: hook.cwd || config.projectRoot || process.cwd(),
+    timeout: hook.timeout
+  });
+}
+
+/**
+ * 在服务器上执行钩子
+ */
+async function runRemoteHook(hook, context) {
+  if (!context.ssh) {
+    throw new Error('未连接服务器，无法执行远程钩子');
+  }
+
+  await context.ssh.exec(hook.command, {
+    cwd: hook.cwd || context.remotePath,
+    timeout: hook.timeout
+  });
+}
+
+/**
+ * 执行指定阶段的钩子
+ * context.ssh 为服务器连接，context.remotePath 为远程钩子的默认工作目录
+ * options.location 为 'local' 或 'remote' 时只执行对应位置的钩子
+ */
+async function runHooks(stage, config, context = {}, options = {}) {
+  const hooks = normalizeHooks(stage, (config.hooks || {})[stage])
+    .filter(hook => !options.location || hook.local === (options.location === 'local'));
+
+  if (hooks.length === 0) {
+    return;
+  }
+
+  let spinner = logger.spinner(`执行 ${stage} 钩子...`).start();
+
+  for (const hook of hooks) {
+    const location = hook.local ? '本地' : '远程';
+    spinner.text = `执行 ${stage} 钩子 (${location}): ${hook.command}`;
+
+    try {
+      if (hook.local) {
+        runLocalHook(hook, config);
+      } else {
+        await runRemoteHook(hook, context);
+      }
+    } catch (error) {
+      if (hook.continueOnError) {
+        spinner.warn(`${stage} 钩子执行失败，继续执行: ${hook.command}`);
+        logger.warn(chalk.gray(`  ${error.message}`));
+        spinner = logger.spinner(`执行 ${stage} 钩子...`).start();
+        continue;
+      }
+
+      spinner.fail(`${stage} 钩子执行失败: ${hook.command}`);
+      throw new Error(`${stage} 钩子执行失败 (${hook.command}): ${error.message}`);
+    }
+  }
+
+  spinner.succeed(`${stage} 钩子执行完成 (${hooks.length} 个)`);
+}
+
+module.exports = {
+  HOOK_STAGES,
+  normalizeHooks,
+  runLocalCommand,
+  runHooks
+};
@@ -0,0 +1,57 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * 发送 HTTP(S) 请求
+ * 返回 { status, headers, body }，网络错误或超时时抛出异常
+ */
+function request(url, options = {}) {
+  const { method = 'GET', headers = {}, body, timeout = 10000 } = options;
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      reject(new Error(`无效的地址: ${url}`));
+      return;
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const payload = body === undefined || typeof body === 'string' || Buffer.isBuffer(body) ?
+      body :
+      JSON.stringify(body);
+
+    const req = client.request(target, {
+      method,
+      headers: payload !== undefined ?
+        { 'Content-Length': Buffer.byteLength(payload), ...headers } :
+        headers
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`请求超时 (${timeout}ms)`));
+    });
+    req.on('error', reject);
+
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+module.exports = {
+  request
+};
@@ -0,0 +1,180 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// 项目根目录中的忽略文件，语法与 .gitignore 相同
+const DEPLOYIGNORE_FILE = '.deployignore';
+// 默认不上传的路径，可以在 build.exclude 或 .deployignore 中用 ! 重新包含
+const DEFAULT_EXCLUDE = ['.git', 'node_modules', `/${DEPLOYIGNORE_FILE}`];
+
+/**
+ * 将 glob 转换为正则：* 和 ? 不匹配 /，** 匹配任意层目录
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * 解析一条 gitignore 风格的规则，空行和注释返回 null
+ * 含 / 的规则相对项目根目录匹配，否则匹配任意层级的文件名；以 / 结尾的规则只匹配目录
+ */
+function compilePattern(line) {
+  let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  const negate = pattern.startsWith('!');
+  if (negate) {
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) {
+    pattern = pattern.slice(0, -1);
+  }
+  if (!pattern) {
+    return null;
+  }
+
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+
+  return {
+    pattern: line.trim(),
+    negate,
+    dirOnly,
+    regex: new RegExp(`${prefix}${globToRegExpSource(pattern)}$`)
+  };
+}
+
+/**
+ * 解析多条规则（数组或 .deployignore 文件内容）
+ */
+function parsePatterns(patterns) {
+  const lines = Array.isArray(patterns) ? patterns : String(patterns || '').split(/\r?\n/);
+  return lines.map(line => compilePattern(String(line))).filter(Boolean);
+}
+
+/**
+ * 按顺序应用规则，最后一条匹配的规则决定是否忽略
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * 是否匹配 build.include：文件本身或所在的任一目录匹配即可，同样以最后一条匹配的规则为准
+ */
+function isIncluded(rules, relativePath) {
+  const parts = relativePath.split('/');
+  let included = false;
+
+  for (const rule of rules) {
+    const matched = parts.some((part, index) => {
+      const isDirectory = index < parts.length - 1;
+      return (!rule.dirOnly || isDirectory) && rule.regex.test(parts.slice(0, index + 1).join('/'));
+    });
+    if (matched) {
+      included = !rule.negate;
+    }
+  }
+
+  return included;
+}
+
+/**
+ * 读取项目根目录中的 .deployignore，不存在时返回空列表
+ */
+async function readDeployIgnore(root) {
+  const file = path.join(root, DEPLOYIGNORE_FILE);
+  if (!(await fs.pathExists(file))) {
+    return [];
+  }
+  return parsePatterns(await fs.readFile(file, 'utf8'));
+}
+
+/**
+ * 创建上传文件过滤器 (relativePath, isDirectory) => boolean，relativePath 相对上传目录
+ * 规则相对项目根目录匹配（上传目录不在项目根目录中时相对上传目录）：
+ * 先按默认排除、build.exclude、.deployignore 的顺序判断是否忽略，再检查是否匹配 build.include（未配置时全部包含）
+ * 被忽略的目录不会再进入，其中的文件无法用 ! 重新包含（与 .gitignore 一致）
+ */
+async function createFileFilter(config = {}) {
+  const build = config.build || {};
+  const root = config.projectRoot || process.cwd();
+  const localPath = config.localPath || root;
+  const relativeRoot = path.relative(root, localPath).split(path.sep).join('/');
+  const base = relativeRoot && !relativeRoot.startsWith('..') && !path.isAbsolute(relativeRoot) ?
+    `${relativeRoot}/` :
+    '';
+
+  const ignoreRules = [
+    ...parsePatterns(DEFAULT_EXCLUDE),
+    ...parsePatterns(build.exclude || []),
+    ...await readDeployIgnore(root)
+  ];
+  const includeRules = parsePatterns(build.include || []);
+
+  return (relativePath, isDirectory) => {
+    const projectPath = `${base}${relativePath}`;
+    if (isIgnored(ignoreRules, projectPath, isDirectory)) {
+      return false;
+    }
+    return isDirectory || includeRules.length === 0 || isIncluded(includeRules, projectPath);
+  };
+}
+
+module.exports = {
+  DEPLOYIGNORE_FILE,
+  DEFAULT_EXCLUDE,
+  parsePatterns,
+  isIgnored,
+  createFileFilter
+};
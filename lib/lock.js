@@ -0,0 +1,244 @@
+const os = require('os');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { SSHConnection } = require('./ssh');
+const { loadTargets } = require('./config');
+const { getStateDir } = require('./release');
+const { getCommitHash, formatTime } = require('./utils');
+const logger = require('./logger');
+const { isNonInteractive } = require('./ci');
+
+// 持有锁期间每隔多久刷新锁文件的修改时间（毫秒）
+const HEARTBEAT_INTERVAL = 60000;
+// 锁文件超过多久未刷新视为过期（秒），可通过 advanced.lock.staleAfter 配置
+const DEFAULT_STALE_AFTER = 600;
+
+/**
+ * 获取部署锁配置：advanced.lock 为 false 或 { enabled: false } 时不加锁
+ */
+function getLockOptions(config) {
+  const option = (config.advanced || {}).lock;
+  if (option === false || (option && option.enabled === false)) {
+    return null;
+  }
+
+  return {
+    staleAfter: parseInt((option || {}).staleAfter, 10) || DEFAULT_STALE_AFTER
+  };
+}
+
+/**
+ * 锁文件路径
+ */
+function getLockPath(config) {
+  return `${getStateDir(config)}/deploy.lock`;
+}
+
+/**
+ * 判断持有锁的进程是否已不存在（仅能判断本机上的进程）
+ */
+function isDeadLocalProcess(info) {
+  if (info.host !== os.hostname() || !info.pid) {
+    return false;
+  }
+
+  try {
+    process.kill(info.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * 读取服务器上的部署锁，没有锁时返回 null
+ * 返回锁信息以及 path、age（距上次刷新的秒数）、stale（是否过期）和 staleReason
+ */
+async function readLock(ssh, config) {
+  const lockPath = getLockPath(config);
+  const output = await ssh.exec(
+    `if [ -f "${lockPath}" ]; then ` +
+    `echo "$(date +%s) $(stat -c %Y "${lockPath}" 2>/dev/null || stat -f %m "${lockPath}")"; ` +
+    `cat "${lockPath}"; fi`,
+    { cwd: '/', silent: true }
+  );
+  if (!output.trim()) {
+    return null;
+  }
+
+  const [times, ...content] = output.trim().split('\n');
+  const [now, modified] = times.split(' ').map(value => parseInt(value, 10));
+
+  let info;
+  try {
+    info = JSON.parse(content.join('\n'));
+  } catch (error) {
+    info = {};
+  }
+
+  const age = now && modified ? Math.max(0, now - modified) : 0;
+  const options = getLockOptions(config) || { staleAfter: DEFAULT_STALE_AFTER };
+  let staleReason = null;
+  if (isDeadLocalProcess(info)) {
+    staleReason = '持有锁的进程已退出';
+  } else if (age > options.staleAfter) {
+    staleReason = `已 ${formatTime(age)} 未刷新`;
+  }
+
+  return {
+    ...info,
+    path: lockPath,
+    age,
+    stale: Boolean(staleReason),
+    staleReason
+  };
+}
+
+/**
+ * 描述锁的持有者
+ */
+function describeLock(lock) {
+  const holder = `${lock.holder || '未知用户'}@${lock.host || '未知主机'}`;
+  const startedAt = lock.startedAt ? new Date(lock.startedAt).toLocaleString() : '未知时间';
+  const commit = lock.commit ? `，提交 ${lock.commit}` : '';
+  return `${holder} (pid ${lock.pid || '-'}，${lock.operation || '部署'}开始于 ${startedAt}${commit})`;
+}
+
+/**
+ * 删除锁文件，指定 id 时只删除该 id 的锁
+ */
+async function removeLock(ssh, config, id = null) {
+  const lockPath = getLockPath(config);
+  const command = id ?
+    `grep -q '"id":"${id}"' "${lockPath}" 2>/dev/null && rm -f "${lockPath}" || true` :
+    `rm -f "${lockPath}"`;
+  await ssh.exec(command, { cwd: '/', silent: true });
+}
+
+/**
+ * 获取服务器上的部署锁，已被其他部署持有时抛出错误
+ * 过期的锁（持有进程已退出，或超过 staleAfter 秒未刷新）会被清除后重新获取
+ * 返回 { path, release }，持有期间定时刷新锁文件的修改时间
+ */
+async function acquireLock(ssh, config, fields = {}) {
+  const options = getLockOptions(config);
+  if (!options) {
+    return { path: null, release: async () => {} };
+  }
+
+  const lockPath = getLockPath(config);
+  const info = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    holder: os.userInfo().username,
+    host: os.hostname(),
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    commit: getCommitHash(),
+    server: config.name,
+    ...fields
+  };
+  const content = JSON.stringify(info).replace(/'/g, "'\\''");
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    // noclobber 保证只有一个进程能创建锁文件
+    const result = await ssh.exec(
+      `mkdir -p "${getStateDir(config)}" && (set -C; printf '%s\\n' '${content}' > "${lockPath}") 2>/dev/null ` +
+      '&& echo acquired || echo locked',
+      { cwd: '/', silent: true }
+    );
+
+    if (result.trim() === 'acquired') {
+      const heartbeat = setInterval(() => {
+        ssh.exec(`touch "${lockPath}"`, { cwd: '/', silent: true }).catch(() => {});
+      }, HEARTBEAT_INTERVAL);
+      heartbeat.unref();
+
+      return {
+        path: lockPath,
+        release: async () => {
+          clearInterval(heartbeat);
+          try {
+            await removeLock(ssh, config, info.id);
+          } catch (error) {
+            logger.warn(chalk.yellow(`⚠ 释放部署锁失败，请运行 deploy-cli unlock 手动解除: ${error.message}`));
+          }
+        }
+      };
+    }
+
+    const lock = await readLock(ssh, config);
+    if (lock && !lock.stale) {
+      const env = fields.env ? ` -e ${fields.env}` : '';
+      throw new Error(
+        `${config.name} 已被锁定: ${describeLock(lock)}，锁文件 ${lockPath}。` +
+        `确认没有部署在进行后可运行 deploy-cli unlock${env} 解除`
+      );
+    }
+
+    if (lock) {
+      logger.warn(chalk.yellow(`⚠ 清除过期的部署锁 (${lock.staleReason}): ${describeLock(lock)}`));
+      await removeLock(ssh, config, lock.id);
+    }
+  }
+
+  throw new Error(`获取部署锁失败: ${lockPath}`);
+}
+
+/**
+ * 解除环境下各服务器的部署锁（deploy-cli unlock）
+ */
+async function unlockEnvironment(options) {
+  const { env, force = false } = options;
+  const targets = await loadTargets(env);
+
+  console.log(chalk.cyan(`\n🔓 解除 ${env} 环境的部署锁\n`));
+
+  for (const config of targets) {
+    const ssh = new SSHConnection(config);
+    try {
+      await ssh.connect();
+      const lock = await readLock(ssh, config);
+
+      if (!lock) {
+        console.log(chalk.gray(`${config.name}: 未锁定`));
+        continue;
+      }
+
+      const stale = lock.stale ? chalk.yellow(` [已过期: ${lock.staleReason}]`) : '';
+      console.log(`${config.name}: ${describeLock(lock)}${stale}`);
+
+      if (!force && isNonInteractive() && !lock.stale) {
+        // 非交互模式下只自动解除过期的锁
+        logger.warn(chalk.yellow(`⚠ ${config.name} 的部署锁未过期，非交互模式下需要 -f 强制解除`));
+        continue;
+      }
+      if (!force && !isNonInteractive()) {
+        const { confirmed } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirmed',
+            message: `确认解除 ${config.name} 的部署锁？`,
+            default: lock.stale
+          }
+        ]);
+        if (!confirmed) {
+          continue;
+        }
+      }
+
+      await removeLock(ssh, config);
+      console.log(chalk.green(`✓ 已解除 ${config.name} 的部署锁`));
+    } finally {
+      await ssh.disconnect();
+    }
+  }
+}
+
+module.exports = {
+  getLockOptions,
+  getLockPath,
+  readLock,
+  describeLock,
+  acquireLock,
+  unlockEnvironment
+};
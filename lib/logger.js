@@ -0,0 +1,214 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { Writable } = require('stream');
+const chalk = require('chalk');
+const ora = require('ora');
+
+const LOG_DIR = path.join(os.homedir(), '.deploy-cli', 'logs');
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+// 保留的日志文件数量，可通过 global.logging.keep 配置
+const DEFAULT_KEEP = 50;
+
+// 控制台输出级别；命令行 --verbose / --quiet 指定后不再被配置文件覆盖
+let consoleLevel = LEVELS.info;
+let levelFromCli = false;
+// 非交互模式（CI）下不显示 spinner；JSON 输出时日志输出到 stderr，stdout 只输出 JSON 事件
+let spinnersEnabled = true;
+let jsonOutput = false;
+// 当前部署的日志文件，文件中始终记录 debug 级别的全部内容
+let logFile = null;
+
+/**
+ * 去掉终端颜色代码
+ */
+function stripAnsi(text) {
+  return String(text).replace(/\x1B\[[0-9;]*[A-Za-z]/g, '');
+}
+
+/**
+ * 解析级别名称，无效时返回 null
+ */
+function parseLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? LEVELS[level] : null;
+}
+
+/**
+ * 按命令行参数设置控制台输出：--verbose 输出调试信息，--quiet 只输出警告和错误
+ * interactive 为 false 时不显示 spinner，json 为 true 时日志改为输出到 stderr
+ */
+function configureLogger({ verbose = false, quiet = false, interactive = true, json = false } = {}) {
+  spinnersEnabled = interactive && !json;
+  jsonOutput = json;
+
+  if (verbose) {
+    consoleLevel = LEVELS.debug;
+    levelFromCli = true;
+  } else if (quiet) {
+    consoleLevel = LEVELS.warn;
+    levelFromCli = true;
+  }
+}
+
+/**
+ * 应用 global.logging.level（命令行参数优先）
+ */
+function applyLoggingConfig(logging = {}) {
+  const level = parseLevel(logging.level);
+  if (!levelFromCli && level !== null) {
+    consoleLevel = level;
+  }
+}
+
+/**
+ * 控制台是否输出该级别
+ */
+function isLevelEnabled(level) {
+  return LEVELS[level] <= consoleLevel;
+}
+
+/**
+ * 只写入日志文件，不输出到控制台
+ */
+function writeLog(level, message) {
+  if (!logFile) {
+    return;
+  }
+
+  const prefix = `${new Date().toISOString()} [${level.toUpperCase()}]`;
+  const lines = stripAnsi(message).replace(/^\n+|\n+$/g, '').split('\n');
+  const content = lines.map((line, index) => index === 0 ? `${prefix} ${line}` : `${' '.repeat(prefix.length)} ${line}`);
+
+  try {
+    fs.appendFileSync(logFile, content.join('\n') + '\n');
+  } catch (error) {
+    // 日志文件写入失败不影响部署
+  }
+}
+
+/**
+ * 输出日志：写入日志文件，并按级别输出到控制台（error 和 JSON 输出时的所有日志输出到 stderr）
+ */
+function log(level, message) {
+  writeLog(level, message);
+
+  if (isLevelEnabled(level)) {
+    if (level === 'error' || jsonOutput) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  }
+}
+
+const error = (message) => log('error', message);
+const warn = (message) => log('warn', message);
+const info = (message) => log('info', message);
+const debug = (message) => log('debug', message);
+
+/**
+ * 创建 ora spinner，结束时的结果同时写入日志文件
+ * --quiet、非交互模式和 JSON 输出时不显示 spinner，结束时的结果按级别作为普通日志输出
+ */
+function spinner(text) {
+  const silent = !spinnersEnabled || !isLevelEnabled('info');
+  const instance = silent ?
+    ora({ text, isEnabled: false, stream: new Writable({ write: (chunk, encoding, callback) => callback() }) }) :
+    ora(text);
+
+  const colors = { info: text => text, warn: chalk.yellow, error: chalk.red };
+  const wrap = (method, level, symbol) => {
+    const original = instance[method].bind(instance);
+    instance[method] = (message) => {
+      const line = `${symbol} ${message || instance.text}`;
+      if (silent) {
+        log(level, colors[level](line));
+      } else {
+        writeLog(level, line);
+      }
+      return original(message);
+    };
+  };
+  wrap('succeed', 'info', '✔');
+  wrap('fail', 'error', '✖');
+  wrap('warn', 'warn', '⚠');
+  wrap('info', 'info', 'ℹ');
+
+  return instance;
+}
+
+/**
+ * JSON 输出时向 stdout 输出一行 JSON 事件（NDJSON），否则不输出
+ */
+function event(data) {
+  if (jsonOutput) {
+    process.stdout.write(JSON.stringify(data) + '\n');
+  }
+}
+
+/**
+ * 是否为 JSON 输出
+ */
+function isJsonOutput() {
+  return jsonOutput;
+}
+
+/**
+ * 删除超出保留数量的旧日志
+ */
+async function pruneLogs(keep) {
+  const files = (await fs.readdir(LOG_DIR)).filter(file => file.endsWith('.log')).sort().reverse();
+  await Promise.all(files.slice(keep).map(file => fs.remove(path.join(LOG_DIR, file))));
+}
+
+/**
+ * 开始记录本次操作的日志文件 ~/.deploy-cli/logs/<时间>-<name>.log，返回文件路径
+ * global.logging.file 为 false 时不记录，返回 null
+ */
+async function startLogFile(name, logging = {}) {
+  if (logging.file === false) {
+    return null;
+  }
+
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const baseName = typeof logging.file === 'string' ? path.basename(logging.file, '.log') : 'deploy';
+
+  try {
+    await fs.ensureDir(LOG_DIR);
+    logFile = path.join(LOG_DIR, `${timestamp}-${name}-${baseName}.log`);
+    await fs.writeFile(logFile, '');
+    await pruneLogs(parseInt(logging.keep, 10) || DEFAULT_KEEP);
+  } catch (err) {
+    logFile = null;
+    warn(`⚠ 无法创建日志文件: ${err.message}`);
+  }
+
+  return logFile;
+}
+
+/**
+ * 停止写入日志文件，返回文件路径
+ */
+function stopLogFile() {
+  const file = logFile;
+  logFile = null;
+  return file;
+}
+
+module.exports = {
+  LOG_DIR,
+  LEVELS,
+  configureLogger,
+  applyLoggingConfig,
+  isLevelEnabled,
+  writeLog,
+  error,
+  warn,
+  info,
+  debug,
+  spinner,
+  event,
+  isJsonOutput,
+  startLogFile,
+  stopLogFile
+};
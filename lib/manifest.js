@@ -0,0 +1,173 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_EXCLUDE, parsePatterns, isIgnored, createFileFilter } = require('./ignore');
+
+// 部署目录中记录已上传文件内容哈希的清单
+const MANIFEST_FILE = '.deploy-manifest.json';
+// 上传整个 localPath 目录的上传方式
+const DIRECTORY_UPLOAD_TYPES = ['rsync', 'archive'];
+
+// 未指定过滤器时只排除默认路径（.git、node_modules）
+const defaultRules = parsePatterns(DEFAULT_EXCLUDE);
+
+/**
+ * 默认的上传过滤器
+ */
+function defaultFilter(relativePath, isDirectory) {
+  return !isIgnored(defaultRules, relativePath, isDirectory);
+}
+
+/**
+ * 计算文件的 sha256
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * 列出本地目录中需要上传的文件（相对路径，使用 / 分隔，按路径排序）
+ * filter(relativePath, isDirectory) 返回 false 的文件和目录会被跳过，见 ignore.createFileFilter
+ */
+async function listLocalFiles(localDir, filter = defaultFilter) {
+  const files = [];
+
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(localDir, fullPath).split(path.sep).join('/');
+      if (!filter(relativePath, entry.isDirectory())) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk(localDir);
+  return files.sort();
+}
+
+/**
+ * 列出 localPath 中需要上传的文件（应用 build.include / build.exclude 和 .deployignore）
+ */
+async function listUploadFiles(config) {
+  if (!(await fs.pathExists(config.localPath))) {
+    throw new Error(`上传目录不存在: ${config.localPath}`);
+  }
+  return listLocalFiles(config.localPath, await createFileFilter(config));
+}
+
+/**
+ * 获取增量部署配置，未启用时返回 null
+ * advanced.incrementalDeploy 可以是 true，或 { enabled, deleteRemoved }
+ */
+function getIncrementalOptions(config) {
+  const option = (config.advanced || {}).incrementalDeploy;
+  if (!option || option.enabled === false) {
+    return null;
+  }
+
+  return {
+    deleteRemoved: Boolean(option.deleteRemoved)
+  };
+}
+
+/**
+ * 生成本地目录的清单 { files: { 相对路径: { hash, size } } }
+ * fileList 为需要上传的文件列表，不指定时列出目录中的所有文件
+ */
+async function createLocalManifest(localDir, fileList = null) {
+  const files = {};
+
+  for (const file of fileList || await listLocalFiles(localDir)) {
+    const fullPath = path.join(localDir, file);
+    const stat = await fs.stat(fullPath);
+    files[file] = { hash: await hashFile(fullPath), size: stat.size };
+  }
+
+  return {
+    version: 1,
+    createdAt: new Date().toISOString(),
+    files
+  };
+}
+
+/**
+ * 读取服务器目录中的清单，不存在或无法解析时返回 null
+ */
+async function readRemoteManifest(ssh, remoteDir) {
+  const content = await ssh.readFile(`${remoteDir}/${MANIFEST_FILE}`);
+  if (!content) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(content);
+    return manifest && manifest.files ? manifest : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 写入清单到服务器目录
+ */
+async function writeRemoteManifest(ssh, remoteDir, manifest) {
+  await ssh.writeFile(`${remoteDir}/${MANIFEST_FILE}`, JSON.stringify(manifest));
+}
+
+/**
+ * 对比本地清单与服务器清单
+ * 返回 { added, changed, removed, unchanged }，每项为相对路径列表
+ */
+function diffManifests(local, remote) {
+  const remoteFiles = (remote && remote.files) || {};
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+  Object.entries(local.files).forEach(([file, info]) => {
+    if (!remoteFiles[file]) {
+      diff.added.push(file);
+    } else if (remoteFiles[file].hash !== info.hash) {
+      diff.changed.push(file);
+    } else {
+      diff.unchanged.push(file);
+    }
+  });
+
+  diff.removed = Object.keys(remoteFiles).filter(file => !local.files[file]);
+
+  return diff;
+}
+
+/**
+ * 统计文件列表的总字节数
+ */
+function sumSize(manifest, files) {
+  return files.reduce((total, file) => total + manifest.files[file].size, 0);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  DIRECTORY_UPLOAD_TYPES,
+  hashFile,
+  listLocalFiles,
+  listUploadFiles,
+  getIncrementalOptions,
+  createLocalManifest,
+  readRemoteManifest,
+  writeRemoteManifest,
+  diffManifests,
+  sumSize
+};
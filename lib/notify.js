@@ -0,0 +1,230 @@
+const os = require('os');
+const chalk = require('chalk');
+const logger = require('./logger');
+const { request } = require('./http');
+const nodemailer = require('nodemailer');
+const { getWebhooks, sendWebhook } = require('./webhook');
+const { getCommitInfo, getDeploymentSummary, formatTime } = require('./utils');
+
+// 通知事件：开始、成功、失败、已回滚
+const EVENT_TITLES = {
+  started: '开始部署',
+  success: '部署成功',
+  failure: '部署失败',
+  rollback: '已回滚'
+};
+const SLACK_COLORS = {
+  started: '#439FE0',
+  success: 'good',
+  failure: 'danger',
+  rollback: 'warning'
+};
+// 单个通知的超时时间，避免通知服务无响应时拖住部署
+const NOTIFY_TIMEOUT = 10000;
+
+/**
+ * 生成通知事件数据，summary 为与部署摘要相同的数据
+ * context 为 { env, branch, config, record, error }，record 为部署历史记录
+ */
+function createDeployEvent(type, context) {
+  const { env, branch, config = {}, record = {}, error } = context;
+  // 回滚记录中的提交是回滚目标的提交
+  const commit = record.type === 'rollback' ?
+    { hash: record.commit, shortHash: record.shortCommit || record.commit } :
+    getCommitInfo();
+  const now = Date.now();
+  const startedAt = record.startedAt ? new Date(record.startedAt).getTime() : now;
+  const duration = type === 'started' ? 0 : now - startedAt;
+
+  return {
+    event: type,
+    title: EVENT_TITLES[type] || type,
+    project: (config.project || {}).name || undefined,
+    env,
+    branch,
+    commit: commit.hash,
+    shortCommit: commit.shortHash,
+    commitMessage: commit.message,
+    operator: `${os.userInfo().username}@${os.hostname()}`,
+    servers: record.servers || (record.server ? [record.server] : []),
+    target: record.target,
+    startedAt: record.startedAt,
+    duration,
+    url: config.url,
+    error: error ? error.message : undefined,
+    summary: getDeploymentSummary(env, branch, startedAt, type === 'started' ? startedAt : now)
+  };
+}
+
+/**
+ * 通知内容的各个字段 [名称, 值]
+ */
+function describeEvent(event) {
+  const fields = [['环境', event.env]];
+
+  if (event.branch) {
+    fields.push(['分支', event.branch]);
+  }
+  if (event.target) {
+    fields.push(['回滚目标', event.target]);
+  }
+  fields.push(
+    ['提交', event.shortCommit ? `${event.shortCommit} ${event.commitMessage || ''}`.trim() : '未知'],
+    ['操作人', event.operator]
+  );
+
+  if (event.servers.length > 0) {
+    fields.push(['服务器', event.servers.join(', ')]);
+  }
+  if (event.event !== 'started') {
+    fields.push(['耗时', formatTime(Math.round(event.duration / 1000))]);
+  }
+  if (event.url) {
+    fields.push(['访问地址', event.url]);
+  }
+  if (event.error) {
+    fields.push(['原因', event.error]);
+  }
+
+  return fields;
+}
+
+/**
+ * 通知标题，例如 "[my-app] production 部署成功"
+ */
+function formatSubject(event) {
+  const project = event.project ? `[${event.project}] ` : '';
+  return `${project}${event.env} ${event.title}`;
+}
+
+/**
+ * 发送 Slack 通知（Incoming Webhook）
+ */
+async function sendSlack(slack, event) {
+  if (!slack.webhook) {
+    throw new Error('未配置 webhook');
+  }
+
+  const payload = {
+    text: formatSubject(event),
+    channel: slack.channel,
+    username: slack.username,
+    attachments: [{
+      color: SLACK_COLORS[event.event],
+      fields: describeEvent(event).map(([title, value]) => ({
+        title,
+        value: String(value),
+        short: String(value).length < 40
+      }))
+    }]
+  };
+
+  const response = await request(slack.webhook, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: payload,
+    timeout: NOTIFY_TIMEOUT
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`HTTP ${response.status} ${response.body.slice(0, 200)}`);
+  }
+}
+
+/**
+ * 创建 SMTP 发送器
+ * smtp 为 { host, port, secure, ignoreTLS, rejectUnauthorized, timeout, auth: { user, pass } }
+ * secure 为 true 时使用 SMTPS，否则服务器支持 STARTTLS 时自动升级（ignoreTLS 为 true 时不升级）
+ */
+function createMailTransport(smtp) {
+  const timeout = smtp.timeout || NOTIFY_TIMEOUT;
+
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: parseInt(smtp.port, 10) || undefined,
+    secure: Boolean(smtp.secure),
+    ignoreTLS: Boolean(smtp.ignoreTLS),
+    tls: { rejectUnauthorized: smtp.rejectUnauthorized !== false },
+    auth: smtp.auth && smtp.auth.user ? { user: smtp.auth.user, pass: smtp.auth.pass || '' } : undefined,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout
+  });
+}
+
+/**
+ * 发送邮件通知
+ */
+async function sendEmail(email, event) {
+  if (!email.smtp || !email.smtp.host) {
+    throw new Error('未配置 smtp.host');
+  }
+
+  const text = describeEvent(event).map(([title, value]) => `${title}: ${value}`).join('\n');
+  const transport = createMailTransport(email.smtp);
+  try {
+    await transport.sendMail({
+      from: email.from,
+      to: [].concat(email.to || []),
+      subject: formatSubject(event),
+      text: `${formatSubject(event)}\n\n${text}\n`
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+// 通知渠道，对应 global.notifications 下的配置
+const CHANNELS = {
+  slack: { name: 'Slack', send: sendSlack },
+  email: { name: '邮件', send: sendEmail }
+};
+
+/**
+ * 按 global.notifications 和环境的 webhooks 发送部署通知
+ * 通知失败只输出警告，不会抛出错误影响部署
+ */
+async function notifyDeployEvent(type, context) {
+  const config = context.config || {};
+  const notifications = (config.global || {}).notifications || {};
+  const targets = Object.keys(CHANNELS)
+    .filter(key => notifications[key] && notifications[key].enabled)
+    .map(key => ({
+      name: CHANNELS[key].name,
+      send: event => CHANNELS[key].send(notifications[key], event)
+    }));
+
+  let event;
+  try {
+    getWebhooks(config)
+      .filter(hook => hook.events.includes(type))
+      .forEach(hook => targets.push({
+        name: `Webhook(${hook.name})`,
+        send: event => sendWebhook(hook, event)
+      }));
+
+    if (targets.length === 0) {
+      return;
+    }
+    event = createDeployEvent(type, context);
+  } catch (error) {
+    logger.warn(chalk.yellow(`⚠ 生成部署通知失败: ${error.message}`));
+    return;
+  }
+
+  await Promise.all(targets.map(async (target) => {
+    try {
+      await target.send(event);
+      logger.debug(chalk.gray(`已发送${target.name}通知: ${formatSubject(event)}`));
+    } catch (error) {
+      logger.warn(chalk.yellow(`⚠ 发送${target.name}通知失败: ${error.message}`));
+    }
+  }));
+}
+
+module.exports = {
+  EVENT_TITLES,
+  createDeployEvent,
+  describeEvent,
+  notifyDeployEvent
+};
@@ -0,0 +1,472 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { SSHConnection, getJumpHosts } = require('./ssh');
+const {
+  isReleaseMode,
+  getReleasesDir,
+  getCurrentLink,
+  getLivePath,
+  getCurrentRelease,
+  createReleaseId
+} = require('./release');
+const { createBackupId, getBackupDir } = require('./backup');
+const { normalizeHooks } = require('./hooks');
+const { getHealthCheckOptions } = require('./health');
+const { getDeployStrategy, describeStrategy } = require('./strategy');
+const { getLockOptions, readLock, describeLock } = require('./lock');
+const {
+  DIRECTORY_UPLOAD_TYPES,
+  getIncrementalOptions,
+  listUploadFiles,
+  createLocalManifest,
+  readRemoteManifest,
+  diffManifests,
+  sumSize
+} = require('./manifest');
+const { isArchiveUpload } = require('./archive');
+const {
+  getCurrentBranch,
+  getGitStatus,
+  getCommitHash,
+  formatFileSize,
+  runWithConcurrency
+} = require('./utils');
+
+/**
+ * 列出将要上传的文件 [{ path, local, size }]，size 为 null 表示本地文件不存在
+ */
+async function collectUploadFiles(config) {
+  const files = DIRECTORY_UPLOAD_TYPES.includes(config.uploadType) ?
+    (await listUploadFiles(config)).map(file => ({ path: file, local: path.join(config.localPath, file) })) :
+    (config.files || []).map(file => ({ path: file.remote || file.local, local: file.local }));
+
+  for (const file of files) {
+    const stat = await fs.stat(file.local).catch(() => null);
+    file.size = stat ? stat.size : null;
+  }
+
+  return files;
+}
+
+/**
+ * 指定阶段的钩子命令，location 为 'local' 或 'remote'
+ */
+function hookCommands(config, stage, location, cwd) {
+  return normalizeHooks(stage, (config.hooks || {})[stage])
+    .filter(hook => hook.local === (location === 'local'))
+    .map(hook => ({ stage, command: hook.command, cwd: hook.cwd || cwd }));
+}
+
+/**
+ * 本地执行的命令：Git 检查、本地钩子和构建（与 deployProject 的顺序一致）
+ */
+function planLocalCommands(config, branch, currentBranch) {
+  const projectRoot = config.projectRoot || process.cwd();
+  const commands = [];
+
+  if (currentBranch !== branch) {
+    commands.push({ stage: 'git', command: `git checkout ${branch}`, cwd: process.cwd() });
+  }
+  commands.push({ stage: 'git', command: `git pull origin ${branch}`, cwd: process.cwd() });
+  commands.push(...hookCommands(config, 'beforeDeploy', 'local', projectRoot));
+  if (config.buildCommand) {
+    commands.push({ stage: 'build', command: config.buildCommand, cwd: process.cwd() });
+  }
+  commands.push(...hookCommands(config, 'onSuccess', 'local', projectRoot));
+  commands.push(...hookCommands(config, 'onFailure', 'local', projectRoot));
+
+  return commands;
+}
+
+/**
+ * 只读检查服务器路径：是否存在、最近的已存在目录是否可写、所在磁盘的可用空间和挂载点
+ */
+async function probePath(ssh, remotePath) {
+  const target = path.posix.normalize(remotePath).replace(/(.)\/$/, '$1');
+  const output = await ssh.exec(
+    `p="${target}"; while [ ! -e "$p" ]; do p=$(dirname "$p"); done; echo "$p"; ` +
+    'test -w "$p" && echo yes || echo no; ' +
+    'df -Pk "$p" 2>/dev/null | awk \'NR==2 {print $4; print $6}\'',
+    { cwd: '/', silent: true }
+  );
+  const [existingPath, writable, available, mount] = output.trim().split('\n').map(line => line.trim());
+
+  return {
+    path: target,
+    exists: existingPath === target,
+    existingPath,
+    writable: writable === 'yes',
+    available: available ? parseInt(available, 10) * 1024 : null,
+    mount: mount || null
+  };
+}
+
+/**
+ * 服务器目录占用的字节数，不存在时为 0
+ */
+async function getRemoteSize(ssh, remotePath) {
+  const output = await ssh.exec(`du -sk "${remotePath}" 2>/dev/null | cut -f1`, { cwd: '/', silent: true });
+  return (parseInt(output.trim(), 10) || 0) * 1024;
+}
+
+/**
+ * 计算上传内容：完整上传时为全部文件，增量部署时与服务器清单对比
+ */
+async function planUpload(ssh, config, server, { files, full }) {
+  const totalBytes = files.reduce((total, file) => total + (file.size || 0), 0);
+  const upload = {
+    method: isArchiveUpload(config) ? 'archive' : 'files',
+    incremental: false,
+    basePath: null,
+    files: files.length,
+    bytes: totalBytes
+  };
+
+  const incremental = DIRECTORY_UPLOAD_TYPES.includes(config.uploadType) ? getIncrementalOptions(config) : null;
+  if (!incremental) {
+    return upload;
+  }
+
+  upload.incremental = true;
+  upload.deleteRemoved = incremental.deleteRemoved;
+
+  const basePath = server.mode === 'release' ?
+    (server.currentRelease ? `${getReleasesDir(config)}/${server.currentRelease}` : null) :
+    config.deployPath;
+  const remote = !full && basePath && ssh ? await readRemoteManifest(ssh, basePath) : null;
+  if (!remote) {
+    upload.reason = full ? '--full' : '服务器上没有文件清单';
+    return upload;
+  }
+
+  const local = await createLocalManifest(config.localPath, files.map(file => file.path));
+  const diff = diffManifests(local, remote);
+  const uploads = [...diff.added, ...diff.changed];
+
+  return {
+    ...upload,
+    basePath,
+    files: uploads.length,
+    bytes: sumSize(local, uploads),
+    added: diff.added,
+    changed: diff.changed,
+    removed: diff.removed,
+    unchanged: diff.unchanged.length
+  };
+}
+
+/**
+ * 服务器上执行的命令（与 executeDeployment 的顺序一致）
+ */
+function planRemoteCommands(config, server) {
+  const { targetPath, upload } = server;
+  const livePath = getLivePath(config);
+  const commands = [...hookCommands(config, 'beforeDeploy', 'remote', config.deployPath)];
+  const add = (stage, command, cwd) => commands.push({ stage, command, cwd });
+
+  if (server.mode === 'release') {
+    add('prepare', `mkdir -p "${targetPath}"`);
+  } else if (server.backup) {
+    add('backup', `mkdir -p ${getBackupDir(config)}`);
+    add('backup', `cp -r ${config.deployPath} ${server.backup}`);
+  }
+
+  add('upload', `mkdir -p ${targetPath}`);
+  if (upload.basePath && upload.basePath !== targetPath) {
+    add('upload', `cp -a "${upload.basePath}/." "${targetPath}/"`);
+  }
+  if (upload.deleteRemoved && upload.removed && upload.removed.length > 0) {
+    const quote = (file) => `'${file.replace(/'/g, "'\\''")}'`;
+    add('upload', `rm -f -- ${upload.removed.map(quote).join(' ')}`, targetPath);
+  }
+  commands.push(...hookCommands(config, 'afterUpload', 'remote', targetPath));
+
+  if (config.installCommand) {
+    add('install', `cd ${targetPath} && ${config.installCommand}`);
+  }
+  if (config.buildCommandRemote) {
+    add('install', `cd ${targetPath} && ${config.buildCommandRemote}`);
+  }
+
+  if (server.mode === 'release') {
+    const currentLink = getCurrentLink(config);
+    const tempLink = `${currentLink}.tmp-${Date.now()}`;
+    add('switch', `ln -sfn "releases/${server.release}" "${tempLink}" && mv -Tf "${tempLink}" "${currentLink}"`);
+  }
+
+  if (config.restartCommand) {
+    add('restart', config.restartCommand);
+  }
+  commands.push(...hookCommands(config, 'afterDeploy', 'remote', livePath));
+  if (config.verifyCommand) {
+    add('verify', config.verifyCommand);
+  }
+  commands.push(...hookCommands(config, 'onSuccess', 'remote', livePath));
+  commands.push(...hookCommands(config, 'onFailure', 'remote', livePath));
+
+  return commands;
+}
+
+/**
+ * 生成单台服务器的部署计划：只读连接服务器，检查凭据、路径和磁盘空间
+ */
+async function planServer(config, { releaseId, files, full }) {
+  const releaseMode = isReleaseMode(config);
+  const jumpHosts = getJumpHosts(config);
+  const server = {
+    name: config.name,
+    host: config.host,
+    port: config.port || 22,
+    via: jumpHosts.map(hop => hop.host),
+    mode: releaseMode ? 'release' : 'in-place',
+    deployPath: config.deployPath,
+    targetPath: releaseMode ? `${getReleasesDir(config)}/${releaseId}` : config.deployPath,
+    release: releaseMode ? releaseId : null,
+    currentRelease: null,
+    backup: null,
+    connected: false,
+    checks: [],
+    upload: null,
+    healthCheck: getHealthCheckOptions(config),
+    commands: []
+  };
+  const check = (name, ok, message) => server.checks.push({ name, ok, message });
+
+  const ssh = new SSHConnection(config);
+  try {
+    await ssh.connect();
+    server.connected = true;
+    check('连接', true, `${config.username}@${config.host}:${server.port}` +
+      (server.via.length > 0 ? ` (经由 ${server.via.join(' → ')})` : ''));
+  } catch (error) {
+    check('连接', false, error.message);
+  }
+
+  try {
+    let required = 0;
+    let deployProbe = null;
+
+    if (server.connected) {
+      const lock = getLockOptions(config) ? await readLock(ssh, config) : null;
+      if (lock) {
+        check('部署锁', lock.stale, lock.stale ?
+          `过期的锁将被清除 (${lock.staleReason}): ${describeLock(lock)}` :
+          `已被锁定: ${describeLock(lock)}`);
+      }
+
+      deployProbe = await probePath(ssh, config.deployPath);
+      if (deployProbe.exists) {
+        check('部署目录', deployProbe.writable, deployProbe.writable ? `${config.deployPath} 可写` : `${config.deployPath} 没有写入权限`);
+      } else {
+        check('部署目录', deployProbe.writable, deployProbe.writable ?
+          `${config.deployPath} 不存在，将在 ${deployProbe.existingPath} 下创建` :
+          `${config.deployPath} 不存在，且 ${deployProbe.existingPath} 没有写入权限`);
+      }
+
+      if (releaseMode) {
+        server.currentRelease = await getCurrentRelease(ssh, config, { silent: true });
+        const currentLink = getCurrentLink(config);
+        const isPlainDir = await ssh.exec(
+          `test -d "${currentLink}" && ! test -L "${currentLink}" && echo "yes" || echo "no"`,
+          { silent: true }
+        );
+        if (isPlainDir.trim() === 'yes') {
+          check('current 软链', false, `${currentLink} 是普通目录，请先手动迁移后再使用版本目录部署`);
+        }
+      } else if (!(config.backup && config.backup.enabled === false) && deployProbe.exists) {
+        if (!config.backupPath) {
+          check('备份目录', false, '未配置 backup.path');
+        } else {
+          server.backup = `${getBackupDir(config)}/${createBackupId()}`;
+          const backupProbe = await probePath(ssh, config.backupPath);
+          const backupSize = await getRemoteSize(ssh, config.deployPath);
+          check('备份目录', backupProbe.writable, backupProbe.writable ?
+            `${config.backupPath} 可写，备份约 ${formatFileSize(backupSize)}` :
+            `${config.backupPath} 没有写入权限`);
+
+          // 备份和部署目录在同一磁盘时合并计算所需空间
+          if (backupProbe.mount === deployProbe.mount) {
+            required += backupSize;
+          } else if (backupProbe.available !== null && backupProbe.available < backupSize) {
+            check('磁盘空间', false, `备份需要 ${formatFileSize(backupSize)}，${config.backupPath} 所在磁盘仅剩 ${formatFileSize(backupProbe.available)}`);
+          }
+        }
+      }
+
+      if (isArchiveUpload(config)) {
+        const hasTar = (await ssh.exec('command -v tar >/dev/null 2>&1 && echo yes || echo no', { silent: true })).trim() === 'yes';
+        check('tar', true, hasTar ? '服务器支持压缩上传' : '服务器上没有 tar，将逐个文件上传');
+      }
+    }
+
+    server.upload = await planUpload(server.connected ? ssh : null, config, server, { files, full });
+    server.commands = planRemoteCommands(config, server);
+
+    if (deployProbe && deployProbe.available !== null) {
+      required += server.upload.bytes;
+      if (server.upload.basePath && server.upload.basePath !== server.targetPath) {
+        required += await getRemoteSize(ssh, server.upload.basePath);
+      }
+      check('磁盘空间', deployProbe.available >= required,
+        `需要约 ${formatFileSize(required)}，可用 ${formatFileSize(deployProbe.available)}`);
+    }
+  } catch (error) {
+    check('检查', false, error.message);
+  } finally {
+    await ssh.disconnect({ silent: true });
+  }
+
+  server.ok = server.checks.every(item => item.ok);
+  return server;
+}
+
+/**
+ * 生成部署计划（deploy --dry-run）：不构建、不修改本地和服务器上的任何内容
+ * 返回 { env, branch, git, strategy, localPath, files, commands, servers, warnings, problems, ok }
+ */
+async function createDeploymentPlan(targets, { env, branch, full = false }) {
+  const config = targets[0];
+  const gitStatus = getGitStatus();
+  const currentBranch = getCurrentBranch();
+  const releaseId = createReleaseId(getCommitHash());
+  const warnings = [];
+  const problems = [];
+
+  if (gitStatus.hasUncommittedChanges) {
+    warnings.push(`有 ${gitStatus.status.length} 个未提交的更改，部署时会询问是否继续`);
+  }
+
+  let files = [];
+  try {
+    files = await collectUploadFiles(config);
+    const missing = files.filter(file => file.size === null);
+    if (missing.length > 0) {
+      problems.push(`本地文件不存在: ${missing.map(file => file.local).join(', ')}`);
+    }
+  } catch (error) {
+    // 构建前产物目录可能还不存在
+    (config.buildCommand ? warnings : problems).push(`${error.message}${config.buildCommand ? '，构建后才能确定上传的文件' : ''}`);
+  }
+
+  const global = config.global || {};
+  const concurrency = Math.max(1, parseInt(global.concurrency, 10) || 1);
+  const servers = await runWithConcurrency(targets, concurrency, target => planServer(target, { releaseId, files, full }));
+
+  servers.forEach(server => {
+    server.checks.filter(item => !item.ok).forEach(item => {
+      problems.push(`${server.name}: ${item.name} - ${item.message}`);
+    });
+  });
+
+  return {
+    env,
+    branch,
+    git: {
+      currentBranch,
+      commit: getCommitHash(false),
+      uncommittedChanges: gitStatus.status.length
+    },
+    strategy: targets.length > 1 ? describeStrategy(getDeployStrategy(config, targets.length)) : null,
+    localPath: config.localPath,
+    files: {
+      count: files.length,
+      bytes: files.reduce((total, file) => total + (file.size || 0), 0),
+      list: files.map(file => ({ path: file.path, size: file.size }))
+    },
+    commands: planLocalCommands(config, branch, currentBranch),
+    servers,
+    warnings,
+    problems,
+    ok: problems.length === 0
+  };
+}
+
+/**
+ * 打印命令列表
+ */
+function printCommands(commands) {
+  if (commands.length === 0) {
+    console.log(chalk.gray('    (无)'));
+  }
+  commands.forEach(item => {
+    const cwd = item.cwd ? chalk.gray(`  (目录: ${item.cwd})`) : '';
+    console.log(`    ${chalk.gray(`[${item.stage}]`)} ${item.command}${cwd}`);
+  });
+}
+
+/**
+ * 打印部署计划
+ */
+function printDeploymentPlan(plan) {
+  const mark = (ok) => ok ? chalk.green('✓') : chalk.red('✗');
+
+  console.log(chalk.cyan('\n🧪 部署计划 (模拟部署，未做任何修改)\n'));
+  console.log(`  环境: ${chalk.cyan(plan.env)}`);
+  console.log(`  分支: ${chalk.cyan(plan.branch)} (当前 ${plan.git.currentBranch}，提交 ${(plan.git.commit || '-').slice(0, 7)})`);
+  if (plan.strategy) {
+    console.log(`  部署策略: ${chalk.cyan(plan.strategy)}`);
+  }
+
+  console.log(chalk.cyan(`\n📦 上传文件 (${plan.localPath}): ${plan.files.count} 个，${formatFileSize(plan.files.bytes)}`));
+  plan.files.list.forEach(file => {
+    const size = file.size === null ? chalk.red('不存在') : formatFileSize(file.size);
+    console.log(`    ${file.path}  ${chalk.gray(size)}`);
+  });
+
+  console.log(chalk.cyan('\n💻 本地命令:'));
+  printCommands(plan.commands);
+
+  plan.servers.forEach(server => {
+    const via = server.via.length > 0 ? ` 经由 ${server.via.join(' → ')}` : '';
+    console.log(chalk.cyan(`\n🖥  ${server.name} (${server.host}:${server.port}${via})`));
+    console.log(`  部署方式: ${server.mode === 'release' ? `版本目录，新版本 ${server.release}` : '原地部署'}`);
+    if (server.currentRelease) {
+      console.log(`  当前版本: ${server.currentRelease}`);
+    }
+    console.log(`  目标目录: ${server.targetPath}`);
+
+    server.checks.forEach(item => {
+      console.log(`  ${mark(item.ok)} ${item.name}: ${item.message}`);
+    });
+
+    const upload = server.upload;
+    if (upload) {
+      const method = upload.method === 'archive' ? '压缩上传' : '逐个文件上传';
+      if (upload.incremental && upload.added) {
+        const removedText = upload.deleteRemoved ? `删除 ${upload.removed.length}` : `已移除 ${upload.removed.length} (不删除)`;
+        console.log(`  上传: 增量${method}，新增 ${upload.added.length}，修改 ${upload.changed.length}，` +
+          `${removedText}，未变 ${upload.unchanged}；传输 ${formatFileSize(upload.bytes)}`);
+      } else {
+        const reason = upload.reason ? ` (${upload.reason})` : '';
+        console.log(`  上传: 完整${method}${reason}，${upload.files} 个文件，${formatFileSize(upload.bytes)}`);
+      }
+    }
+
+    if (server.healthCheck) {
+      const target = server.healthCheck.url || `${server.healthCheck.host}:${server.healthCheck.port}`;
+      console.log(`  健康检查: ${target} (最多 ${server.healthCheck.retries} 次，间隔 ${server.healthCheck.interval}ms)`);
+    }
+
+    console.log('  远程命令:');
+    printCommands(server.commands);
+  });
+
+  if (plan.warnings.length > 0) {
+    console.log(chalk.yellow('\n⚠ 提示:'));
+    plan.warnings.forEach(warning => console.log(chalk.yellow(`  - ${warning}`)));
+  }
+
+  if (plan.ok) {
+    console.log(chalk.green('\n✅ 模拟部署检查通过'));
+  } else {
+    console.log(chalk.red(`\n❌ 发现 ${plan.problems.length} 个问题:`));
+    plan.problems.forEach(problem => console.log(chalk.red(`  - ${problem}`)));
+  }
+}
+
+module.exports = {
+  collectUploadFiles,
+  createDeploymentPlan,
+  printDeploymentPlan
+};
@@ -0,0 +1,174 @@
+const path = require('path');
+const { getBackupDir } = require('./backup');
+
+/**
+ * 是否启用版本目录部署 (releases/<版本> + current 软链)
+ */
+function isReleaseMode(config) {
+  const releases = config.releases;
+  return releases === true || Boolean(releases && releases.enabled);
+}
+
+/**
+ * 版本目录所在路径
+ */
+function getReleasesDir(config) {
+  return `${config.deployPath}/releases`;
+}
+
+/**
+ * current 软链路径
+ */
+function getCurrentLink(config) {
+  return `${config.deployPath}/current`;
+}
+
+/**
+ * 获取线上代码实际所在目录
+ */
+function getLivePath(config) {
+  return isReleaseMode(config) ? getCurrentLink(config) : config.deployPath;
+}
+
+/**
+ * 服务器上保存部署元数据（部署锁、部署历史等）的目录，按部署路径区分
+ * 原地部署时部署目录会被备份和整体替换，因此放在该部署路径的备份目录下
+ */
+function getStateDir(config) {
+  if (isReleaseMode(config) || !config.backupPath) {
+    return `${config.deployPath}/.deploy-cli`;
+  }
+  return `${getBackupDir(config)}/.deploy-cli`;
+}
+
+/**
+ * 获取需要保留的版本数量
+ */
+function getReleaseKeep(config) {
+  const releases = typeof config.releases === 'object' ? config.releases : {};
+  const rollback = (config.advanced && config.advanced.rollback) || {};
+  return releases.keep || rollback.keepVersions || 5;
+}
+
+/**
+ * 生成版本号: <时间戳>[-<提交>]
+ */
+function createReleaseId(commit) {
+  const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return commit ? `${timestamp}-${commit}` : timestamp;
+}
+
+/**
+ * 解析版本号中的时间和提交
+ */
+function parseReleaseId(releaseId) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:-(.+))?$/.exec(releaseId);
+  if (!match) {
+    return { timestamp: null, commit: null };
+  }
+
+  const [, year, month, day, hour, minute, second, commit] = match;
+  return {
+    timestamp: new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
+    commit: commit || null
+  };
+}
+
+/**
+ * 创建新的版本目录
+ */
+async function prepareRelease(ssh, config, releaseId) {
+  const releasePath = `${getReleasesDir(config)}/${releaseId}`;
+
+  if (await ssh.directoryExists(releasePath)) {
+    throw new Error(`版本目录已存在: ${releasePath}`);
+  }
+
+  await ssh.exec(`mkdir -p "${releasePath}"`);
+  return releasePath;
+}
+
+/**
+ * 获取 current 当前指向的版本号，options 传给 ssh.exec
+ */
+async function getCurrentRelease(ssh, config, options = {}) {
+  const target = await ssh.exec(`readlink "${getCurrentLink(config)}" 2>/dev/null || true`, options);
+  return target.trim() ? path.posix.basename(target.trim()) : null;
+}
+
+/**
+ * 列出服务器上的所有版本（按时间从新到旧）
+ */
+async function listReleases(ssh, config) {
+  const releasesDir = getReleasesDir(config);
+  const output = await ssh.exec(`ls -1 "${releasesDir}" 2>/dev/null || true`);
+  const current = await getCurrentRelease(ssh, config);
+
+  return output.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .sort()
+    .reverse()
+    .map(id => ({
+      id,
+      path: `${releasesDir}/${id}`,
+      current: id === current,
+      ...parseReleaseId(id)
+    }));
+}
+
+/**
+ * 原子切换 current 软链到指定版本
+ */
+async function switchRelease(ssh, config, releaseId) {
+  const currentLink = getCurrentLink(config);
+  const tempLink = `${currentLink}.tmp-${Date.now()}`;
+
+  // current 若是普通目录（原地部署遗留），mv 无法覆盖
+  const isPlainDir = await ssh.exec(
+    `test -d "${currentLink}" && ! test -L "${currentLink}" && echo "yes" || echo "no"`
+  );
+  if (isPlainDir.trim() === 'yes') {
+    throw new Error(`${currentLink} 是普通目录，请先手动迁移后再使用版本目录部署`);
+  }
+
+  await ssh.exec(`ln -sfn "releases/${releaseId}" "${tempLink}" && mv -Tf "${tempLink}" "${currentLink}"`);
+}
+
+/**
+ * 删除版本目录
+ */
+async function removeRelease(ssh, config, releaseId) {
+  await ssh.exec(`rm -rf "${getReleasesDir(config)}/${releaseId}"`);
+}
+
+/**
+ * 清理旧版本，保留最近 keep 个（current 指向的版本永远保留）
+ */
+async function cleanupReleases(ssh, config, keep = getReleaseKeep(config)) {
+  const releases = await listReleases(ssh, config);
+  const removable = releases.slice(keep).filter(release => !release.current);
+
+  for (const release of removable) {
+    await removeRelease(ssh, config, release.id);
+  }
+
+  return removable;
+}
+
+module.exports = {
+  isReleaseMode,
+  getReleasesDir,
+  getCurrentLink,
+  getLivePath,
+  getStateDir,
+  getReleaseKeep,
+  createReleaseId,
+  parseReleaseId,
+  prepareRelease,
+  getCurrentRelease,
+  listReleases,
+  switchRelease,
+  removeRelease,
+  cleanupReleases
+};
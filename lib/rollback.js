@@ -0,0 +1,254 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const logger = require('./logger');
+const { SSHConnection } = require('./ssh');
+const { loadTargets } = require('./config');
+const { restartService, verifyDeployment } = require('./deploy');
+const {
+  isReleaseMode,
+  getCurrentRelease,
+  listReleases,
+  switchRelease
+} = require('./release');
+const { listBackups, restoreBackup, parseBackupId } = require('./backup');
+const { acquireLock } = require('./lock');
+const { notifyDeployEvent } = require('./notify');
+const { EXIT_CODES, isNonInteractive, withExitCode, getExitCode } = require('./ci');
+const {
+  startHistoryEntry,
+  finishHistoryEntry,
+  appendLocalHistory,
+  appendRemoteHistory
+} = require('./history');
+
+/**
+ * 回滚主函数：依次回滚环境中的各服务器（--server 时只回滚指定服务器）
+ */
+async function rollbackProject(options) {
+  const { env, server, to } = options;
+
+  logger.info(chalk.cyan(`\n⏪ 回滚 ${env} 环境\n`));
+
+  let targets;
+  try {
+    targets = await loadTargets(env, server);
+    checkRollbackTo(targets, to);
+  } catch (error) {
+    const record = startHistoryEntry({ type: 'rollback', env, commit: null });
+    await appendLocalHistory(finishHistoryEntry(record, 'failure', error));
+    throw error;
+  }
+
+  for (const config of targets) {
+    if (targets.length > 1) {
+      logger.info(chalk.cyan(`\n🖥️  回滚 ${config.name} (${config.host})\n`));
+    }
+    await rollbackServer(config, options);
+  }
+}
+
+/**
+ * 原地部署的备份 ID 是各服务器各自的备份时间，不能同时用于多台原地部署的服务器
+ */
+function checkRollbackTo(targets, to) {
+  const inPlace = targets.filter(config => !isReleaseMode(config));
+  if (inPlace.length > 1 && to && parseBackupId(to)) {
+    throw withExitCode(new Error(
+      `备份 ID 只对单台服务器有效，${inPlace.map(config => config.name).join(', ')} 为原地部署，` +
+      '请用 --server 逐台回滚，或用 --to <提交> 回滚到各服务器上该提交最近的备份'
+    ), EXIT_CODES.CONFIG);
+  }
+}
+
+/**
+ * 回滚单台服务器
+ */
+async function rollbackServer(config, options) {
+  const { env, to, force = false } = options;
+  const record = startHistoryEntry({ type: 'rollback', env, commit: null });
+  record.server = config.name;
+
+  let ssh;
+  let lock = null;
+
+  try {
+    ssh = new SSHConnection(config);
+    await ssh.connect();
+    lock = await acquireLock(ssh, config, { env, operation: '回滚' });
+
+    try {
+      // 1. 获取可回滚的版本
+      const spinner = logger.spinner('获取可回滚版本...').start();
+      let targets;
+      try {
+        targets = await listRollbackTargets(ssh, config);
+        spinner.succeed(`找到 ${targets.length} 个可回滚版本`);
+      } catch (error) {
+        spinner.fail('获取可回滚版本失败');
+        throw error;
+      }
+
+      if (targets.length === 0) {
+        throw new Error('服务器上没有可用于回滚的备份或版本');
+      }
+
+      // 2. 选择目标版本（非交互模式下必须用 --to 指定）
+      if (!to && isNonInteractive()) {
+        throw withExitCode(new Error('非交互模式下需要用 --to 指定回滚目标'), EXIT_CODES.CONFIG);
+      }
+      const target = to ? findTarget(targets, to) : await chooseTarget(targets);
+
+      if (target.current) {
+        throw new Error(`${target.id} 已是当前版本`);
+      }
+
+      record.target = target.id;
+      record.commit = target.commit;
+      record.shortCommit = target.commit;
+
+      // 3. 确认
+      if (!force && !isNonInteractive()) {
+        await confirmRollback(env, config, target);
+      }
+
+      // 4. 恢复
+      if (isReleaseMode(config)) {
+        record.from = await getCurrentRelease(ssh, config);
+      }
+      await restoreTarget(ssh, config, target);
+
+      // 5. 重启并验证
+      await restartService(ssh, config);
+      await verifyDeployment(ssh, config);
+
+      await appendRemoteHistory(ssh, config, finishHistoryEntry(record, 'success'));
+
+      logger.info(chalk.green(`\n🎉 已回滚到 ${target.id}\n`));
+      await notifyDeployEvent('rollback', { env, config, record });
+
+    } catch (error) {
+      const status = getExitCode(error) === EXIT_CODES.CANCELLED ? 'cancelled' : 'failure';
+      await appendRemoteHistory(ssh, config, finishHistoryEntry(record, status, error));
+      throw error;
+    }
+  } catch (error) {
+    finishHistoryEntry(record, 'failure', error);
+    throw error;
+  } finally {
+    await appendLocalHistory(record);
+    if (lock) {
+      await lock.release();
+    }
+    if (ssh) {
+      await ssh.disconnect();
+    }
+  }
+}
+
+/**
+ * 列出可回滚的目标：版本目录模式下为各版本，原地部署模式下为各备份
+ */
+async function listRollbackTargets(ssh, config) {
+  if (isReleaseMode(config)) {
+    const releases = await listReleases(ssh, config);
+    return releases.map(release => ({ ...release, type: 'release' }));
+  }
+
+  const backups = await listBackups(ssh, config);
+  return backups.map(backup => ({ ...backup, type: 'backup', current: false }));
+}
+
+/**
+ * 按ID查找回滚目标，找不到时按提交查找（多个时为最近的一个）
+ */
+function findTarget(targets, id) {
+  const target = targets.find(item => item.id === id) ||
+    targets.find(item => item.commit && id.length >= 7 && (item.commit.startsWith(id) || id.startsWith(item.commit)));
+
+  if (!target) {
+    const available = targets.map(item => item.id).join('\n  ');
+    throw new Error(`未找到版本 ${id}，可用版本:\n  ${available}`);
+  }
+
+  return target;
+}
+
+/**
+ * 格式化回滚目标用于显示
+ */
+function formatTarget(target) {
+  const type = target.type === 'release' ? '版本' : '备份';
+  const time = target.timestamp ? target.timestamp.toLocaleString() : '未知时间';
+  const commit = target.commit ? ` ${chalk.gray(target.commit)}` : '';
+  const current = target.current ? chalk.green(' (当前)') : '';
+  return `[${type}] ${target.id}  ${time}${commit}${current}`;
+}
+
+/**
+ * 交互式选择回滚目标
+ */
+async function chooseTarget(targets) {
+  const { targetId } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'targetId',
+      message: '选择要回滚到的版本:',
+      choices: targets.map(target => ({
+        name: formatTarget(target),
+        value: target.id,
+        disabled: target.current ? '当前版本' : false
+      }))
+    }
+  ]);
+
+  return findTarget(targets, targetId);
+}
+
+/**
+ * 确认回滚信息
+ */
+async function confirmRollback(env, config, target) {
+  console.log(chalk.yellow('\n📋 回滚信息确认:'));
+  console.log(`  环境: ${chalk.cyan(env)}`);
+  console.log(`  服务器: ${chalk.cyan(config.host)}`);
+  console.log(`  目标: ${formatTarget(target)}`);
+
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: '确认执行回滚？',
+      default: false
+    }
+  ]);
+
+  if (!confirmed) {
+    throw withExitCode(new Error('回滚已取消'), EXIT_CODES.CANCELLED);
+  }
+}
+
+/**
+ * 恢复到目标版本
+ */
+async function restoreTarget(ssh, config, target) {
+  const spinner = logger.spinner(`恢复到 ${target.id}...`).start();
+
+  try {
+    if (target.type === 'release') {
+      await switchRelease(ssh, config, target.id);
+      spinner.succeed(`已切换到版本: ${target.id}`);
+    } else {
+      const { replacedPath } = await restoreBackup(ssh, config, target.id);
+      spinner.succeed(`已恢复备份: ${target.id}`);
+      logger.info(chalk.gray(`  原线上目录已保存到: ${replacedPath}`));
+    }
+  } catch (error) {
+    spinner.fail('恢复失败');
+    throw error;
+  }
+}
+
+module.exports = {
+  rollbackProject,
+  listRollbackTargets
+};
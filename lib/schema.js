@@ -0,0 +1,540 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { STRATEGIES } = require('./strategy');
+const { HOOK_STAGES } = require('./hooks');
+const { WEBHOOK_EVENTS } = require('./webhook');
+const { isSecretRef } = require('./vault');
+
+const TYPE_NAMES = {
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: '布尔值',
+  object: '对象',
+  array: '数组',
+  date: '日期'
+};
+
+// 字段类型
+const any = {};
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const number = { type: 'number', min: 0 };
+const count = { type: 'integer', min: 0 };
+const port = { type: 'integer', min: 1, max: 65535 };
+// 服务器上的路径，必须为绝对路径
+const remotePath = { type: 'string', remotePath: true };
+// 本地私钥文件，必须存在且可读（保险库引用除外）
+const keyFile = { type: 'string', keyFile: true };
+
+const oneOf = (...schemas) => ({ oneOf: schemas.flatMap(schema => schema.oneOf || [schema]) });
+const enumOf = (...values) => ({ type: typeof values[0], enum: values });
+const arrayOf = items => ({ type: 'array', items });
+const mapOf = values => ({ type: 'object', values });
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+const listOf = item => oneOf(item, arrayOf(item));
+
+const hook = oneOf(string, object({
+  command: string,
+  local: boolean,
+  cwd: string,
+  timeout: number,
+  continueOnError: boolean
+}, ['command']));
+
+const webhook = oneOf(string, object({
+  name: string,
+  url: string,
+  method: string,
+  events: arrayOf(enumOf(...WEBHOOK_EVENTS)),
+  headers: mapOf(any),
+  payload: any,
+  secret: string,
+  signatureHeader: string,
+  retries: count,
+  retryDelay: number,
+  timeout: number
+}, ['url']));
+
+// 环境、服务器共用的部署配置
+const deploySettings = {
+  name: string,
+  description: string,
+  host: string,
+  port,
+  username: string,
+  agent: boolean,
+  sshConfig: boolean,
+  url: string,
+  deployPath: remotePath,
+  backupPath: remotePath,
+  localPath: string,
+  uploadType: enumOf('rsync', 'archive'),
+  files: arrayOf(object({ local: string, remote: string }, ['local'])),
+  buildCommand: string,
+  installCommand: string,
+  buildCommandRemote: string,
+  restartCommand: string,
+  verifyCommand: string,
+  restartDelay: number,
+  requireConfirmation: boolean,
+  releases: object({ enabled: boolean, keep: count }),
+  backup: object({ enabled: boolean, path: remotePath, keep: count }),
+  hooks: object(Object.fromEntries(HOOK_STAGES.map(stage => [stage, listOf(hook)]))),
+  healthCheck: object({
+    url: string,
+    host: string,
+    port,
+    timeout: number,
+    retries: { type: 'integer', min: 1 },
+    interval: number,
+    expectedStatus: listOf({ type: 'integer', min: 100, max: 599 }),
+    expectedBody: string
+  }),
+  strategy: enumOf(...STRATEGIES),
+  rolling: object({ batchSize: { type: 'integer', min: 1 } }),
+  canary: object({
+    enabled: boolean,
+    percentage: { type: 'number', min: 1, max: 100 },
+    duration: number,
+    interval: number,
+    autoRollback: boolean
+  }),
+  webhooks: listOf(webhook)
+};
+
+// 项目配置：auth 中的认证方式
+const auth = object({
+  type: enumOf('password', 'privateKey'),
+  password: string,
+  privateKey: keyFile,
+  passphrase: string
+});
+
+const projectJumpHost = listOf(oneOf(string, object({
+  host: string,
+  port,
+  username: string,
+  agent: boolean,
+  sshConfig: boolean,
+  auth
+}, ['host'])));
+
+const projectServer = object({
+  ...deploySettings,
+  auth,
+  jumpHost: projectJumpHost
+});
+
+const globalSettings = object({
+  timeout: number,
+  retries: count,
+  concurrency: { type: 'integer', min: 1 },
+  backupKeep: count,
+  logging: object({
+    level: enumOf('error', 'warn', 'info', 'debug'),
+    file: oneOf(string, enumOf(false)),
+    keep: { type: 'integer', min: 1 }
+  }),
+  notifications: object({
+    slack: object({
+      enabled: boolean,
+      webhook: string,
+      channel: string,
+      username: string
+    }),
+    email: object({
+      enabled: boolean,
+      smtp: object({
+        host: string,
+        port,
+        secure: boolean,
+        ignoreTLS: boolean,
+        rejectUnauthorized: boolean,
+        timeout: number,
+        auth: object({ user: string, pass: string })
+      }),
+      from: string,
+      to: listOf(string)
+    })
+  })
+});
+
+const PROJECT_SCHEMA = object({
+  project: object({ name: string, type: string, version: string }),
+  build: object({
+    command: string,
+    outputDir: string,
+    include: listOf(string),
+    exclude: listOf(string)
+  }),
+  environments: mapOf(object({
+    ...projectServer.properties,
+    servers: arrayOf(projectServer)
+  })),
+  global: globalSettings,
+  advanced: object({
+    incrementalDeploy: oneOf(boolean, object({ enabled: boolean, deleteRemoved: boolean })),
+    compression: object({ enabled: boolean, algorithm: enumOf('gzip') }),
+    transfer: object({
+      chunkSize: { type: 'integer', min: 1 },
+      maxRetries: count,
+      concurrency: { type: 'integer', min: 1 },
+      retryDelay: number
+    }),
+    lock: object({ enabled: boolean, staleAfter: { type: 'number', min: 1 } }),
+    rollback: object({ enabled: boolean, keepVersions: { type: 'integer', min: 1 }, autoRollback: boolean })
+  })
+}, ['environments']);
+
+// servers.yml：凭据直接保存在服务器配置中（通常为保险库引用）
+const credentials = {
+  password: string,
+  privateKey: string,
+  privateKeyPath: keyFile,
+  passphrase: string
+};
+
+const SERVER_SCHEMA = object({
+  ...deploySettings,
+  ...credentials,
+  environment: string,
+  projectType: string,
+  createdAt: oneOf(string, { type: 'date' }),
+  jumpHost: listOf(oneOf(string, object({
+    host: string,
+    port,
+    username: string,
+    agent: boolean,
+    sshConfig: boolean,
+    ...credentials
+  }, ['host'])))
+});
+
+const SERVERS_SCHEMA = object({ servers: mapOf(SERVER_SCHEMA) }, ['servers']);
+
+const GLOBAL_CONFIG_SCHEMA = object({
+  version: string,
+  global: globalSettings,
+  environments: mapOf(object({ name: string, description: string, servers: listOf(string) }))
+});
+
+/**
+ * 值的类型名称，区分数组、日期和 null
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof Date) {
+    return 'date';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+}
+
+/**
+ * 值是否符合类型
+ */
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+/**
+ * 描述类型，例如 "字符串或数组"
+ */
+function describeType(schema) {
+  if (schema.oneOf) {
+    return [...new Set(schema.oneOf.map(describeType))].join('或');
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(' / ');
+  }
+  return TYPE_NAMES[schema.type] || schema.type;
+}
+
+/**
+ * 拼接字段路径，例如 environments.staging.servers[0].port
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * 两个字符串的编辑距离
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ?
+        previous :
+        Math.min(previous, row[j - 1], row[j]) + 1;
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * 为未知字段找最相近的已知字段
+ */
+function closestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * 展开路径中的 ~ 为用户主目录
+ */
+function resolveLocalPath(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return path.resolve(filePath);
+}
+
+/**
+ * 按 schema 检查值，问题追加到 context.problems
+ */
+function checkValue(value, schema, fieldPath, context) {
+  if (value === undefined || value === null) {
+    return;
+  }
+
+  if (schema.oneOf) {
+    const matched = schema.oneOf.find(item => !item.type || matchesType(value, item.type));
+    if (!matched) {
+      context.report(fieldPath, `类型应为${describeType(schema)}，实际为${TYPE_NAMES[typeOf(value)] || typeOf(value)}`);
+      return;
+    }
+    checkValue(value, matched, fieldPath, context);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = schema.enum ? TYPE_NAMES[schema.type] : describeType(schema);
+    context.report(fieldPath, `类型应为${expected}，实际为${TYPE_NAMES[typeOf(value)] || typeOf(value)}`,
+      ['number', 'integer'].includes(schema.type) && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ?
+        `去掉引号，写成 ${Number(value)}` :
+        undefined);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion = typeof value === 'string' ? closestKey(value, schema.enum.filter(item => typeof item === 'string')) : null;
+    context.report(fieldPath, `无效的值 ${JSON.stringify(value)}`,
+      suggestion ? `是否为 ${JSON.stringify(suggestion)}？` : `可选值: ${describeType(schema)}`);
+    return;
+  }
+
+  if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+    const range = schema.max !== undefined ? `在 ${schema.min}-${schema.max} 之间` : `不小于 ${schema.min}`;
+    context.report(fieldPath, `${value} 超出范围，应${range}`);
+    return;
+  }
+
+  if (schema.remotePath && !value.startsWith('/')) {
+    context.report(fieldPath, `服务器路径必须是绝对路径: ${value}`, `改为以 / 开头的完整路径，例如 /${value.replace(/^[~./]+/, '')}（服务器上不会展开 ~ 和相对路径）`);
+  }
+
+  if (schema.keyFile && !isSecretRef(value) && !value.includes('BEGIN')) {
+    const keyPath = resolveLocalPath(value);
+    try {
+      fs.accessSync(keyPath, fs.constants.R_OK);
+    } catch (error) {
+      context.report(fieldPath, error.code === 'ENOENT' ? `私钥文件不存在: ${keyPath}` : `无法读取私钥文件: ${keyPath}`,
+        '检查私钥路径和文件权限，或删除该字段改用 ssh-agent');
+    }
+  }
+
+  if (schema.items) {
+    value.forEach((item, index) => checkValue(item, schema.items, joinPath(fieldPath, index), context));
+  }
+
+  if (schema.values) {
+    Object.entries(value).forEach(([key, item]) => checkValue(item, schema.values, joinPath(fieldPath, key), context));
+  }
+
+  if (schema.properties) {
+    const known = Object.keys(schema.properties);
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        context.report(joinPath(fieldPath, key), '缺少必填字段');
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (!known.includes(key)) {
+        const suggestion = closestKey(key, known);
+        context.report(joinPath(fieldPath, key), '未知字段',
+          suggestion ? `是否为 ${suggestion}？` : '检查拼写，不需要时删除该字段', 'warning');
+        return;
+      }
+      checkValue(item, schema.properties[key], joinPath(fieldPath, key), context);
+    });
+  }
+}
+
+/**
+ * 创建检查上下文，问题为 { level, file, path, message, suggestion }
+ */
+function createContext(file) {
+  const problems = [];
+  return {
+    problems,
+    report(fieldPath, message, suggestion, level = 'error') {
+      problems.push({ level, file, path: fieldPath, message, suggestion });
+    }
+  };
+}
+
+/**
+ * 检查一台服务器最终使用的配置是否能完成部署
+ * settings 为合并后的配置，backupKey 为该文件中备份路径字段的名称
+ */
+function checkDeployTarget(settings, fieldPath, context, backupKey) {
+  if (!settings.host) {
+    context.report(joinPath(fieldPath, 'host'), '缺少服务器地址', '填写服务器地址，或 ~/.ssh/config 中的 Host 别名');
+  }
+  if (!settings.deployPath) {
+    context.report(joinPath(fieldPath, 'deployPath'), '缺少部署路径', '填写服务器上的绝对路径，例如 /var/www/html');
+  }
+
+  const releases = settings.releases || {};
+  const backup = settings.backup || {};
+  if (!releases.enabled && backup.enabled !== false && !backup.path && !settings.backupPath) {
+    context.report(joinPath(fieldPath, backupKey), '缺少备份路径，部署前无法备份当前版本',
+      `配置 ${backupKey}，或设置 backup.enabled: false 关闭备份，或启用 releases 版本目录部署`);
+  }
+
+  const authConfig = settings.auth || {};
+  if (authConfig.type === 'password' && !authConfig.password) {
+    context.report(joinPath(fieldPath, 'auth.password'), 'auth.type 为 password 但未配置密码', '填写保险库引用 vault:<名称>');
+  }
+}
+
+/**
+ * 检查项目配置文件（deploy.config.js / deploy.config.yml），指定 env 时只检查该环境
+ */
+function validateProjectConfig(projectConfig, file, env) {
+  const context = createContext(file);
+  const config = projectConfig || {};
+  const environments = config.environments;
+
+  if (env && environments && typeof environments === 'object' && !environments[env]) {
+    context.report(joinPath('environments', env), `未定义 ${env} 环境`,
+      `可用环境: ${Object.keys(environments).join(', ') || '无'}`);
+    return context.problems;
+  }
+
+  const selected = env && environments && typeof environments === 'object' ?
+    { ...config, environments: { [env]: environments[env] } } :
+    config;
+  checkValue(selected, PROJECT_SCHEMA, '', context);
+
+  Object.entries(selected.environments || {}).forEach(([name, envConfig]) => {
+    if (!envConfig || typeof envConfig !== 'object' || Array.isArray(envConfig)) {
+      return;
+    }
+
+    const envPath = joinPath('environments', name);
+    const { servers, ...envSettings } = envConfig;
+    if (!Array.isArray(servers) || servers.length === 0) {
+      checkDeployTarget(envSettings, envPath, context, 'backup.path');
+      return;
+    }
+
+    servers.forEach((server, index) => {
+      if (server && typeof server === 'object') {
+        checkDeployTarget({ ...envSettings, ...server }, joinPath(joinPath(envPath, 'servers'), index), context, 'backup.path');
+      }
+    });
+  });
+
+  return context.problems;
+}
+
+/**
+ * 检查 servers.yml，指定 names 时只检查这些服务器
+ */
+function validateServers(servers, file, names) {
+  const context = createContext(file);
+  const content = servers || {};
+  const list = content.servers && typeof content.servers === 'object' ? content.servers : {};
+  const selected = names ?
+    { ...content, servers: Object.fromEntries(names.map(name => [name, list[name]])) } :
+    content;
+
+  checkValue(selected, SERVERS_SCHEMA, '', context);
+
+  Object.entries(selected.servers || {}).forEach(([name, server]) => {
+    if (server && typeof server === 'object' && !Array.isArray(server)) {
+      checkDeployTarget(server, joinPath('servers', name), context, 'backupPath');
+    }
+  });
+
+  return context.problems;
+}
+
+/**
+ * 检查 config.yml
+ */
+function validateGlobalConfig(config, file) {
+  const context = createContext(file);
+  checkValue(config || {}, GLOBAL_CONFIG_SCHEMA, '', context);
+  return context.problems;
+}
+
+/**
+ * 显示用的文件路径：项目内的文件使用相对路径，主目录替换为 ~
+ */
+function displayFile(file) {
+  const relative = path.relative(process.cwd(), file);
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return relative;
+  }
+  return file.startsWith(os.homedir()) ? `~${file.slice(os.homedir().length)}` : file;
+}
+
+/**
+ * 格式化一个问题，例如 "deploy.config.js: environments.staging.port 70000 超出范围 (建议: ...)"
+ */
+function formatProblem(problem) {
+  const location = problem.path ? `${displayFile(problem.file)}: ${problem.path}` : displayFile(problem.file);
+  const suggestion = problem.suggestion ? `\n    建议: ${problem.suggestion}` : '';
+  return `${location} ${problem.message}${suggestion}`;
+}
+
+module.exports = {
+  validateProjectConfig,
+  validateServers,
+  validateGlobalConfig,
+  formatProblem,
+  displayFile
+};
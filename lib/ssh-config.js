@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SSH_CONFIG_FILE = path.join(os.homedir(), '.ssh', 'config');
+
+/**
+ * 将 Host 中的通配符模式转换为正则
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 判断主机名是否匹配 Host 行的模式列表（支持 * ? 和 ! 取反）
+ */
+function matchHost(patterns, host) {
+  let matched = false;
+
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (patternToRegExp(pattern.slice(1)).test(host)) {
+        return false;
+      }
+    } else if (patternToRegExp(pattern).test(host)) {
+      matched = true;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * 解析 ssh_config 内容为 [{ patterns, options }]
+ * Host 之前的配置对所有主机生效，Match 块不支持，会被忽略
+ */
+function parseSshConfig(content) {
+  const blocks = [];
+  let current = { patterns: ['*'], options: [] };
+  blocks.push(current);
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+    if (!match) {
+      return;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'host') {
+      current = { patterns: value.split(/\s+/), options: [] };
+      blocks.push(current);
+    } else if (key === 'match') {
+      current = null;
+    } else if (current) {
+      current.options.push({ key, value: value.replace(/^"(.*)"$/, '$1') });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * 展开 IdentityFile 中的 ~ 和 %d %u %h %r
+ */
+function expandIdentityFile(file, { host, user }) {
+  const tokens = {
+    '%': '%',
+    d: os.homedir(),
+    u: os.userInfo().username,
+    h: host,
+    r: user || os.userInfo().username
+  };
+  // 一次替换，%%d 展开为 %d 而不是家目录
+  const expanded = file.replace(/%([%dhur])/g, (match, token) => tokens[token]);
+
+  if (expanded === '~' || expanded.startsWith('~/')) {
+    return path.join(os.homedir(), expanded.slice(1));
+  }
+  return expanded;
+}
+
+/**
+ * 按 ~/.ssh/config 解析主机别名
+ * 与 OpenSSH 一致，每个选项取第一次出现的值，IdentityFile 可以有多个
+ * 返回 { hostName, user, port, proxyJump, identityFiles }，没有匹配的配置时各字段为空
+ */
+function resolveSshHost(alias, file = SSH_CONFIG_FILE) {
+  const result = {
+    hostName: undefined,
+    user: undefined,
+    port: undefined,
+    proxyJump: undefined,
+    identityFiles: []
+  };
+
+  if (!alias || !fs.existsSync(file)) {
+    return result;
+  }
+
+  const blocks = parseSshConfig(fs.readFileSync(file, 'utf8'));
+
+  blocks
+    .filter(block => matchHost(block.patterns, alias))
+    .forEach(block => {
+      block.options.forEach(({ key, value }) => {
+        if (key === 'hostname' && result.hostName === undefined) {
+          result.hostName = value.replace(/%h/g, alias);
+        } else if (key === 'user' && result.user === undefined) {
+          result.user = value;
+        } else if (key === 'port' && result.port === undefined) {
+          result.port = parseInt(value, 10);
+        } else if (key === 'proxyjump' && result.proxyJump === undefined) {
+          result.proxyJump = value;
+        } else if (key === 'identityfile') {
+          result.identityFiles.push(value);
+        }
+      });
+    });
+
+  if (result.proxyJump === 'none') {
+    result.proxyJump = undefined;
+  }
+
+  const host = result.hostName || alias;
+  result.identityFiles = result.identityFiles.map(item =>
+    expandIdentityFile(item, { host, user: result.user }));
+
+  return result;
+}
+
+module.exports = {
+  SSH_CONFIG_FILE,
+  parseSshConfig,
+  resolveSshHost
+};
@@ -1,62 +1,237 @@
 const { NodeSSH } = require('node-ssh');
+const { utils } = require('ssh2');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
 const chalk = require('chalk');
-const ora = require('ora');
+const logger = require('./logger');
+const { EXIT_CODES, withExitCode } = require('./ci');
+const { resolveSshHost } = require('./ssh-config');
+const { expandHome } = require('./config');
+const { listLocalFiles } = require('./manifest');
+const { transferFiles } = require('./transfer');
+
+// 未配置私钥时依次尝试的默认私钥
+const DEFAULT_IDENTITY_FILES = ['id_ed25519', 'id_ecdsa', 'id_rsa']
+  .map(name => path.join(os.homedir(), '.ssh', name));
+
+/**
+ * 生成连接参数
+ * host 可以是 ~/.ssh/config 中的别名（HostName、User、Port、IdentityFile），服务器配置中的字段优先
+ * 私钥按路径在连接时读取；存在 SSH_AUTH_SOCK 时同时使用 ssh-agent（agent: false 可关闭），私钥和 agent 中的密钥都会尝试
+ */
+async function resolveConnectOptions(config) {
+  const alias = config.sshConfig === false ? {} : resolveSshHost(config.host);
+  const username = config.username || alias.user || os.userInfo().username;
+  const agent = config.agent !== false ? process.env.SSH_AUTH_SOCK : undefined;
+
+  const options = {
+    host: alias.hostName || config.host,
+    port: config.port || alias.port || 22,
+    username,
+    password: config.password,
+    passphrase: config.passphrase,
+    agent
+  };
+
+  // 旧版配置中直接保存的私钥内容，或保险库中的私钥
+  if (config.privateKey) {
+    options.privateKey = config.privateKey;
+  } else if (config.privateKeyPath) {
+    const keyPath = expandHome(config.privateKeyPath);
+    if (!(await fs.pathExists(keyPath))) {
+      throw new Error(`私钥文件不存在: ${keyPath}`);
+    }
+    options.privateKey = await fs.readFile(keyPath, 'utf8');
+  } else if (!config.password) {
+    // 使用 ~/.ssh/config 的 IdentityFile 或默认私钥，有 ssh-agent 时也会一并尝试
+    const candidates = alias.identityFiles && alias.identityFiles.length > 0 ?
+      alias.identityFiles :
+      DEFAULT_IDENTITY_FILES;
+    for (const keyPath of candidates) {
+      if (!(await fs.pathExists(keyPath))) {
+        continue;
+      }
+      const privateKey = await fs.readFile(keyPath, 'utf8');
+      // 有 agent 时跳过无法直接使用的私钥（如未配置 passphrase 的加密私钥），避免连接直接失败
+      if (agent && utils.parseKey(privateKey, config.passphrase) instanceof Error) {
+        logger.debug(`跳过无法使用的私钥: ${keyPath}`);
+        continue;
+      }
+      options.privateKey = privateKey;
+      break;
+    }
+  }
+
+  if (!options.password && !options.privateKey && !options.agent) {
+    throw new Error('未配置认证方式，请配置密码或私钥路径，或启动 ssh-agent');
+  }
+
+  return options;
+}
+
+/**
+ * 将 jumpHost 配置统一为跳板机列表（按连接顺序）
+ * 支持对象、对象数组，或 ProxyJump 格式的字符串 "user@bastion:22,user@inner"
+ */
+function normalizeJumpHosts(jumpHost) {
+  if (!jumpHost) {
+    return [];
+  }
+
+  if (Array.isArray(jumpHost)) {
+    return jumpHost.flatMap(normalizeJumpHosts);
+  }
+
+  if (typeof jumpHost === 'string') {
+    return jumpHost.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+      const match = item.match(/^(?:([^@]+)@)?([^:]+)(?::(\d+))?$/);
+      if (!match) {
+        throw new Error(`无效的跳板机: ${item}`);
+      }
+      return {
+        host: match[2],
+        username: match[1],
+        port: match[3] ? parseInt(match[3], 10) : undefined
+      };
+    });
+  }
+
+  if (!jumpHost.host) {
+    throw new Error('跳板机配置缺少 host');
+  }
+  return [jumpHost];
+}
+
+/**
+ * 获取服务器的跳板机列表：优先使用 jumpHost 配置，其次使用 ~/.ssh/config 中的 ProxyJump
+ */
+function getJumpHosts(config) {
+  if (config.jumpHost) {
+    return normalizeJumpHosts(config.jumpHost);
+  }
+  if (config.sshConfig === false) {
+    return [];
+  }
+  return normalizeJumpHosts(resolveSshHost(config.host).proxyJump);
+}
 
 class SSHConnection {
   constructor(config) {
     this.config = config;
     this.ssh = new NodeSSH();
+    this.jumpClients = [];
     this.connected = false;
   }
 
   /**
-   * 连接到服务器
+   * 连接到服务器，配置了跳板机时经由跳板机建立隧道
    */
   async connect() {
-    const spinner = ora(`连接服务器 ${this.config.host}...`).start();
+    const jumpHosts = getJumpHosts(this.config);
+    const via = jumpHosts.length > 0 ? ` (经由 ${jumpHosts.map(hop => hop.host).join(' → ')})` : '';
+    const spinner = logger.spinner(`连接服务器 ${this.config.host}${via}...`).start();
     
     try {
+      const options = await resolveConnectOptions(this.config);
+      const sock = await this.connectJumpHosts(jumpHosts, options);
+
       await this.ssh.connect({
-        host: this.config.host,
-        port: this.config.port || 22,
-        username: this.config.username,
-        password: this.config.password,
-        privateKey: this.config.privateKey,
-        passphrase: this.config.passphrase,
+        ...options,
+        sock,
         readyTimeout: 20000
       });
       
       this.connected = true;
-      spinner.succeed(`已连接到服务器 ${this.config.host}`);
+      spinner.succeed(`已连接到服务器 ${this.config.host}${via}`);
       
     } catch (error) {
       spinner.fail('服务器连接失败');
-      throw new Error(`SSH连接失败: ${error.message}`);
+      this.disposeJumpHosts();
+      throw withExitCode(new Error(`SSH连接失败: ${error.message}`), EXIT_CODES.CONNECTION);
+    }
+  }
+
+  /**
+   * 依次连接各级跳板机，每一级通过上一级的隧道连接
+   * 返回到目标服务器的隧道，没有跳板机时返回 undefined
+   */
+  async connectJumpHosts(jumpHosts, target) {
+    let sock;
+
+    for (let i = 0; i < jumpHosts.length; i++) {
+      const hop = jumpHosts[i];
+      const client = new NodeSSH();
+
+      try {
+        await client.connect({
+          ...await resolveConnectOptions(hop),
+          sock,
+          readyTimeout: 20000
+        });
+      } catch (error) {
+        throw new Error(`跳板机 ${hop.host} 连接失败: ${error.message}`);
+      }
+      this.jumpClients.push(client);
+
+      const next = i + 1 < jumpHosts.length ? await resolveConnectOptions(jumpHosts[i + 1]) : target;
+      try {
+        sock = await client.forwardOut('127.0.0.1', 0, next.host, next.port);
+      } catch (error) {
+        throw new Error(`无法经由跳板机 ${hop.host} 连接 ${next.host}:${next.port}: ${error.message}`);
+      }
     }
+
+    return sock;
+  }
+
+  /**
+   * 断开所有跳板机连接（从最内层开始）
+   */
+  disposeJumpHosts() {
+    this.jumpClients.reverse().forEach(client => client.dispose());
+    this.jumpClients = [];
   }
 
   /**
-   * 执行远程命令
+   * 执行远程命令，命令、退出码和输出都会写入日志文件
+   * 命令在控制台以 info 级别显示，输出以 debug 级别显示；options.silent 为 true 时只写入日志文件
    */
   async exec(command, options = {}) {
     if (!this.connected) {
       throw new Error('SSH未连接');
     }
 
+    const log = (message) => options.silent ? logger.writeLog('debug', message) : logger.debug(message);
+
     try {
-      console.log(chalk.gray(`执行命令: ${command}`));
+      if (options.silent) {
+        logger.writeLog('debug', `[${this.config.host}] 执行命令: ${command}`);
+      } else {
+        logger.info(chalk.gray(`执行命令: ${command}`));
+      }
       
-      const result = await this.ssh.execCommand(command, {
+      let channel;
+      const execution = this.ssh.execCommand(command, {
         cwd: options.cwd || this.config.deployPath,
-        stream: 'both'
+        stream: 'both',
+        onChannel: (ch) => { channel = ch; }
       });
 
-      if (result.code !== 0) {
-        throw new Error(`命令执行失败: ${result.stderr}`);
-      }
+      const result = options.timeout ? 
+        await this.withTimeout(execution, options.timeout, () => channel && channel.close()) : 
+        await execution;
 
+      logger.writeLog('debug', `[${this.config.host}] 退出码 ${result.code}`);
       if (result.stdout) {
-        console.log(chalk.gray(result.stdout));
+        log(chalk.gray(result.stdout));
+      }
+      if (result.stderr) {
+        log(chalk.gray(`stderr: ${result.stderr}`));
+      }
+
+      if (result.code !== 0) {
+        throw new Error(`命令执行失败: ${result.stderr}`);
       }
 
       return result.stdout;
@@ -66,17 +241,58 @@ class SSHConnection {
     }
   }
 
+  /**
+   * 超时后执行 onTimeout 并抛出错误
+   */
+  async withTimeout(promise, timeout, onTimeout) {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        onTimeout();
+        reject(new Error(`命令执行超时 (${timeout}ms)`));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([promise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 执行持续输出的命令（如 tail -f），输出实时交给 onData
+   * 返回 { done, close }，done 在命令结束时完成，close 用于中止命令
+   */
+  streamCommand(command, onData) {
+    if (!this.connected) {
+      throw new Error('SSH未连接');
+    }
+
+    let channel;
+    const done = this.ssh.execCommand(command, {
+      onStdout: onData,
+      onStderr: onData,
+      onChannel: (ch) => { channel = ch; }
+    });
+
+    return {
+      done,
+      close: () => channel && channel.close()
+    };
+  }
+
   /**
    * 上传单个文件
    */
-  async uploadFile(localPath, remotePath) {
+  async uploadFile(localPath, remotePath, options = {}) {
     if (!this.connected) {
       throw new Error('SSH未连接');
     }
 
     try {
-      await this.ssh.putFile(localPath, remotePath);
-      console.log(chalk.green(`✓ 上传文件: ${localPath} -> ${remotePath}`));
+      await transferFiles(this, [{ local: localPath, remote: remotePath }], options);
+      logger.info(chalk.green(`✓ 上传文件: ${localPath} -> ${remotePath}`));
     } catch (error) {
       throw new Error(`文件上传失败: ${error.message}`);
     }
@@ -84,8 +300,9 @@ class SSHConnection {
 
   /**
    * 上传多个文件
+   * 失败的文件按 advanced.transfer.maxRetries 重试，options.onProgress 接收汇总进度
    */
-  async uploadFiles(files, remoteDir) {
+  async uploadFiles(files, remoteDir, options = {}) {
     if (!this.connected) {
       throw new Error('SSH未连接');
     }
@@ -96,8 +313,8 @@ class SSHConnection {
     }));
 
     try {
-      await this.ssh.putFiles(transfers);
-      console.log(chalk.green(`✓ 上传 ${files.length} 个文件完成`));
+      const result = await transferFiles(this, transfers, options);
+      logger.info(chalk.green(`✓ 上传 ${files.length} 个文件完成${this.describeTransfer(result)}`));
     } catch (error) {
       throw new Error(`批量文件上传失败: ${error.message}`);
     }
@@ -106,37 +323,35 @@ class SSHConnection {
   /**
    * 上传整个目录
    */
-  async uploadDirectory(localDir, remoteDir) {
+  async uploadDirectory(localDir, remoteDir, options = {}) {
     if (!this.connected) {
       throw new Error('SSH未连接');
     }
 
     try {
-      await this.ssh.putDirectory(localDir, remoteDir, {
-        recursive: true,
-        concurrency: 10,
-        validate: function(itemPath) {
-          const baseName = require('path').basename(itemPath);
-          return baseName.substr(0, 1) !== '.' && 
-                 baseName !== 'node_modules' &&
-                 baseName !== '.git';
-        },
-        tick: function(localPath, remotePath, error) {
-          if (error) {
-            console.log(chalk.red(`✗ ${localPath}`));
-          } else {
-            console.log(chalk.gray(`  ${localPath}`));
-          }
-        }
-      });
+      const transfers = (await listLocalFiles(localDir)).map(file => ({
+        local: path.join(localDir, file),
+        remote: `${remoteDir}/${file}`
+      }));
+      const result = await transferFiles(this, transfers, options);
       
-      console.log(chalk.green(`✓ 目录上传完成: ${localDir} -> ${remoteDir}`));
+      logger.info(chalk.green(`✓ 目录上传完成: ${localDir} -> ${remoteDir}${this.describeTransfer(result)}`));
       
     } catch (error) {
       throw new Error(`目录上传失败: ${error.message}`);
     }
   }
 
+  /**
+   * 传输结果摘要：大小、平均速度、重试次数
+   */
+  describeTransfer(result) {
+    const { formatFileSize } = require('./utils');
+    const seconds = Math.max(result.duration / 1000, 0.001);
+    const retries = result.retries > 0 ? `，重试 ${result.retries} 次` : '';
+    return ` (${formatFileSize(result.bytes)}，${formatFileSize(Math.round(result.bytes / seconds))}/s${retries})`;
+  }
+
   /**
    * 下载文件
    */
@@ -147,12 +362,66 @@ class SSHConnection {
 
     try {
       await this.ssh.getFile(localPath, remotePath);
-      console.log(chalk.green(`✓ 下载文件: ${remotePath} -> ${localPath}`));
+      logger.info(chalk.green(`✓ 下载文件: ${remotePath} -> ${localPath}`));
     } catch (error) {
       throw new Error(`文件下载失败: ${error.message}`);
     }
   }
 
+  /**
+   * 读取远程文件内容（不输出到控制台），文件不存在时返回 null
+   */
+  async readFile(remotePath) {
+    if (!this.connected) {
+      throw new Error('SSH未连接');
+    }
+
+    const result = await this.ssh.execCommand(`test -f "${remotePath}" && cat "${remotePath}"`);
+    return result.code === 0 ? result.stdout : null;
+  }
+
+  /**
+   * 删除远程目录下的多个文件（相对路径），分批执行避免命令过长
+   */
+  async removeFiles(remoteDir, files, batchSize = 100) {
+    if (!this.connected) {
+      throw new Error('SSH未连接');
+    }
+
+    const quote = (file) => `'${file.replace(/'/g, "'\\''")}'`;
+
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize).map(quote).join(' ');
+      const result = await this.ssh.execCommand(`rm -f -- ${batch}`, { cwd: remoteDir });
+      if (result.code !== 0) {
+        throw new Error(`删除远程文件失败: ${result.stderr}`);
+      }
+    }
+  }
+
+  /**
+   * 写入远程文件内容
+   */
+  async writeFile(remotePath, content, options = {}) {
+    if (!this.connected) {
+      throw new Error('SSH未连接');
+    }
+
+    const redirect = options.append ? '>>' : '>';
+
+    try {
+      const result = await this.ssh.execCommand(`cat ${redirect} "${remotePath}"`, {
+        stdin: content
+      });
+
+      if (result.code !== 0) {
+        throw new Error(result.stderr);
+      }
+    } catch (error) {
+      throw new Error(`写入远程文件失败: ${error.message}`);
+    }
+  }
+
   /**
    * 检查远程文件是否存在
    */
@@ -195,7 +464,7 @@ class SSHConnection {
   async createDirectory(remotePath) {
     try {
       await this.exec(`mkdir -p "${remotePath}"`);
-      console.log(chalk.green(`✓ 创建目录: ${remotePath}`));
+      logger.info(chalk.green(`✓ 创建目录: ${remotePath}`));
     } catch (error) {
       throw new Error(`创建目录失败: ${error.message}`);
     }
@@ -227,15 +496,22 @@ class SSHConnection {
   /**
    * 断开连接
    */
-  async disconnect() {
+  async disconnect(options = {}) {
     if (this.connected) {
       this.ssh.dispose();
+      this.disposeJumpHosts();
       this.connected = false;
-      console.log(chalk.gray('SSH连接已断开'));
+      if (options.silent) {
+        logger.writeLog('debug', `[${this.config.host}] SSH连接已断开`);
+      } else {
+        logger.info(chalk.gray('SSH连接已断开'));
+      }
     }
   }
 }
 
 module.exports = {
-  SSHConnection
+  SSHConnection,
+  resolveConnectOptions,
+  getJumpHosts
 };
\ No newline at end of file
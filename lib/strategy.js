@@ -0,0 +1,68 @@
+// 支持的部署策略：全部同时部署、滚动部署、金丝雀部署
+const STRATEGIES = ['all', 'rolling', 'canary'];
+
+/**
+ * 解析环境的部署策略
+ * 未配置 strategy 时，canary.enabled 为 true 则使用金丝雀部署，否则全部部署
+ */
+function getDeployStrategy(config, serverCount = 1) {
+  const canary = config.canary || {};
+  const type = config.strategy || (canary.enabled ? 'canary' : 'all');
+
+  if (!STRATEGIES.includes(type)) {
+    throw new Error(`未知的部署策略: ${type} (可用策略: ${STRATEGIES.join(', ')})`);
+  }
+
+  if (type === 'rolling') {
+    const rolling = config.rolling || {};
+    return {
+      type,
+      batchSize: Math.max(1, parseInt(rolling.batchSize, 10) || 1)
+    };
+  }
+
+  if (type === 'canary') {
+    const percentage = canary.percentage || 10;
+    return {
+      type,
+      percentage,
+      canaryCount: Math.min(serverCount, Math.max(1, Math.ceil(serverCount * percentage / 100))),
+      duration: canary.duration !== undefined ? canary.duration : 300,
+      interval: canary.interval || 30,
+      autoRollback: canary.autoRollback !== false
+    };
+  }
+
+  return { type };
+}
+
+/**
+ * 按批次大小拆分服务器列表
+ */
+function splitBatches(items, batchSize) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    batches.push(items.slice(i, i + batchSize));
+  }
+  return batches;
+}
+
+/**
+ * 部署策略的文字描述
+ */
+function describeStrategy(strategy) {
+  if (strategy.type === 'rolling') {
+    return `滚动部署 (每批 ${strategy.batchSize} 台)`;
+  }
+  if (strategy.type === 'canary') {
+    return `金丝雀部署 (${strategy.percentage}% → ${strategy.canaryCount} 台，观察 ${strategy.duration} 秒)`;
+  }
+  return '全部部署';
+}
+
+module.exports = {
+  STRATEGIES,
+  getDeployStrategy,
+  splitBatches,
+  describeStrategy
+};
@@ -0,0 +1,311 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const DEFAULT_CONCURRENCY = 10;
+// 重试等待时间上限
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * 获取传输配置：advanced.transfer.maxRetries / chunkSize / concurrency
+ * 未配置 maxRetries 时使用 global.retries，默认 3 次
+ */
+function getTransferOptions(config = {}) {
+  const transfer = (config.advanced || {}).transfer || {};
+  const global = config.global || {};
+  const maxRetries = transfer.maxRetries !== undefined ? transfer.maxRetries : global.retries;
+
+  return {
+    chunkSize: parseInt(transfer.chunkSize, 10) || DEFAULT_CHUNK_SIZE,
+    maxRetries: maxRetries !== undefined ? Math.max(0, parseInt(maxRetries, 10) || 0) : 3,
+    concurrency: parseInt(transfer.concurrency, 10) || DEFAULT_CONCURRENCY,
+    retryDelay: transfer.retryDelay !== undefined ? transfer.retryDelay : 1000
+  };
+}
+
+/**
+ * 汇总所有文件的传输进度
+ */
+class TransferProgress {
+  constructor(totalFiles, totalBytes, onProgress = () => {}) {
+    this.totalFiles = totalFiles;
+    this.totalBytes = totalBytes;
+    this.files = 0;
+    this.bytes = 0;
+    this.retries = 0;
+    this.startedAt = Date.now();
+    this.onProgress = onProgress;
+    this.lastReport = 0;
+  }
+
+  /**
+   * 记录传输的字节数（重新上传时为负数）
+   */
+  addBytes(bytes) {
+    this.bytes += bytes;
+    this.report();
+  }
+
+  /**
+   * 记录完成一个文件
+   */
+  fileDone() {
+    this.files++;
+    this.report(true);
+  }
+
+  /**
+   * 记录一次重试
+   */
+  retry() {
+    this.retries++;
+    this.report(true);
+  }
+
+  /**
+   * 每秒字节数
+   */
+  throughput() {
+    const seconds = (Date.now() - this.startedAt) / 1000;
+    return seconds > 0 ? this.bytes / seconds : 0;
+  }
+
+  /**
+   * 进度条文字：[█████░░░░░] 50% 文件 5/10 | 1 MB/2 MB | 512 KB/s | 剩余 2秒
+   */
+  format() {
+    const { formatFileSize, formatTime } = require('./utils');
+    const ratio = this.totalBytes > 0 ? Math.min(1, this.bytes / this.totalBytes) : this.files / (this.totalFiles || 1);
+    const width = 20;
+    const filled = Math.round(ratio * width);
+    const speed = this.throughput();
+    const eta = speed > 0 ? Math.ceil((this.totalBytes - this.bytes) / speed) : null;
+
+    const parts = [
+      `[${'█'.repeat(filled)}${'░'.repeat(width - filled)}] ${Math.floor(ratio * 100)}%`,
+      `文件 ${this.files}/${this.totalFiles}`,
+      `${formatFileSize(this.bytes)}/${formatFileSize(this.totalBytes)}`,
+      `${formatFileSize(Math.round(speed))}/s`,
+      `剩余 ${eta !== null ? formatTime(eta) : '-'}`
+    ];
+    if (this.retries > 0) {
+      parts.push(`重试 ${this.retries} 次`);
+    }
+
+    return parts.join(' | ');
+  }
+
+  /**
+   * 通知进度，字节变化最多每 100ms 通知一次
+   */
+  report(force = false) {
+    const now = Date.now();
+    if (force || now - this.lastReport >= 100) {
+      this.lastReport = now;
+      this.onProgress(this.format(), this);
+    }
+  }
+}
+
+/**
+ * 将 ssh2 回调形式的 sftp 方法转为 Promise
+ */
+function sftpCall(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (error, result) => error ? reject(error) : resolve(result));
+  });
+}
+
+/**
+ * 覆盖重命名：优先使用 posix-rename 扩展，不支持时先删除目标再重命名
+ */
+async function renameOverwrite(sftp, from, to) {
+  try {
+    await sftpCall(sftp, 'ext_openssh_rename', from, to);
+    return;
+  } catch (error) {
+    // 服务器不支持 posix-rename@openssh.com
+  }
+
+  await sftpCall(sftp, 'unlink', to).catch(() => {});
+  await sftpCall(sftp, 'rename', from, to);
+}
+
+/**
+ * 计算本地文件前 length 字节的 sha256
+ */
+function hashPrefix(filePath, length) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath, { start: 0, end: length - 1 })
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * 检查服务器上未完成的 .part 文件是否与本地文件开头一致，一致时可以续传
+ */
+async function canResume(ssh, file, partPath, size) {
+  try {
+    const output = await ssh.exec(
+      `(head -c ${size} "${partPath}" | (sha256sum || shasum -a 256)) 2>/dev/null | cut -d' ' -f1`,
+      { cwd: '/', silent: true }
+    );
+    return output.trim() === await hashPrefix(file.local, size);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 上传单个文件，返回文件大小
+ * 大文件（不小于 chunkSize）先写入 .part 文件再重命名，失败后可以从服务器上已写入的位置续传
+ */
+async function putFile(sftp, ssh, file, options, onBytes) {
+  const stat = await fs.stat(file.local);
+  const resumable = stat.size >= options.chunkSize;
+  const writePath = resumable ? `${file.remote}.part` : file.remote;
+
+  let offset = 0;
+  if (resumable) {
+    const partStat = await sftpCall(sftp, 'stat', writePath).catch(() => null);
+    // 本次部署中写入的 .part 可以直接续传，之前遗留的需要先校验内容
+    if (partStat && partStat.size > 0 && partStat.size < stat.size &&
+        (file.partialUpload || await canResume(ssh, file, writePath, partStat.size))) {
+      offset = partStat.size;
+    }
+  }
+
+  const handle = await sftpCall(sftp, 'open', writePath, offset > 0 ? 'r+' : 'w', { mode: stat.mode & 0o777 });
+  const localFd = await fs.open(file.local, 'r');
+  const buffer = Buffer.alloc(Math.min(options.chunkSize, Math.max(stat.size, 1)));
+
+  try {
+    file.partialUpload = resumable;
+    let position = offset;
+
+    while (position < stat.size) {
+      const { bytesRead } = await fs.read(localFd, buffer, 0, buffer.length, position);
+      if (bytesRead === 0) {
+        break;
+      }
+      await sftpCall(sftp, 'write', handle, buffer, 0, bytesRead, position);
+      position += bytesRead;
+      onBytes(bytesRead);
+    }
+  } finally {
+    await fs.close(localFd);
+    await sftpCall(sftp, 'close', handle).catch(() => {});
+  }
+
+  if (resumable) {
+    await renameOverwrite(sftp, writePath, file.remote);
+  }
+  file.partialUpload = false;
+
+  return stat.size;
+}
+
+/**
+ * 按配置重试上传单个文件，每次重试的等待时间加倍
+ * 重试时使用新的 SFTP 通道，避免通道异常导致后续重试全部失败
+ * shouldStop 返回 true 时（其他文件已失败）不再重试
+ */
+async function putFileWithRetry(ssh, sftp, file, options, progress, shouldStop = () => false) {
+  let written = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    let channel = sftp;
+
+    try {
+      // 打开新通道失败同样算作一次失败的尝试
+      if (attempt > 0) {
+        channel = await ssh.ssh.requestSFTP();
+      }
+      const size = await putFile(channel, ssh, file, options, (bytes) => {
+        written += bytes;
+        progress.addBytes(bytes);
+      });
+      // 重新从头上传时之前计入的字节重复了，续传时则补上之前已写入的部分
+      progress.addBytes(size - written);
+      progress.fileDone();
+      return attempt;
+    } catch (error) {
+      if (attempt >= options.maxRetries || shouldStop()) {
+        throw new Error(`${file.local}: ${error.message}${attempt > 0 ? ` (已重试 ${attempt} 次)` : ''}`);
+      }
+
+      logger.writeLog('warn', `上传失败，将重试 (${attempt + 1}/${options.maxRetries}): ${file.local}: ${error.message}`);
+      progress.retry();
+      await new Promise(resolve => setTimeout(resolve, Math.min(options.retryDelay * 2 ** attempt, MAX_RETRY_DELAY)));
+    } finally {
+      if (channel !== sftp) {
+        channel.end();
+      }
+    }
+  }
+}
+
+/**
+ * 上传多个文件 [{ local, remote }]，自动创建远程目录
+ * onProgress 接收汇总进度文字，返回 { files, bytes, retries, duration }
+ */
+async function transferFiles(ssh, transfers, options = {}) {
+  const transferOptions = { ...getTransferOptions(ssh.config), ...options };
+  const sizes = await Promise.all(transfers.map(file => fs.stat(file.local).then(stat => stat.size)));
+  const totalBytes = sizes.reduce((total, size) => total + size, 0);
+  const progress = new TransferProgress(transfers.length, totalBytes, options.onProgress);
+
+  // 先统一创建目录，避免每个文件单独检查
+  const dirs = [...new Set(transfers.map(file => path.posix.dirname(file.remote)))];
+  for (let i = 0; i < dirs.length; i += 100) {
+    const batch = dirs.slice(i, i + 100).map(dir => `"${dir}"`).join(' ');
+    await ssh.exec(`mkdir -p ${batch}`);
+  }
+
+  const sftp = await ssh.ssh.requestSFTP();
+  const files = transfers.map(file => ({ ...file }));
+
+  try {
+    let index = 0;
+    let failed = false;
+    const worker = async () => {
+      while (index < files.length && !failed) {
+        const file = files[index++];
+        try {
+          await putFileWithRetry(ssh, sftp, file, transferOptions, progress, () => failed);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    // 等所有 worker 都停止后再关闭 SFTP 通道，避免关闭仍在上传的通道
+    const workers = Array.from({ length: Math.min(transferOptions.concurrency, files.length) }, worker);
+    const results = await Promise.allSettled(workers);
+    const rejected = results.find(result => result.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+  } finally {
+    sftp.end();
+  }
+
+  return {
+    files: progress.files,
+    bytes: totalBytes,
+    retries: progress.retries,
+    duration: Date.now() - progress.startedAt
+  };
+}
+
+module.exports = {
+  getTransferOptions,
+  TransferProgress,
+  transferFiles
+};
@@ -1,24 +1,41 @@
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const chalk = require('chalk');
-const ora = require('ora');
-const { loadConfig } = require('./config');
+const { loadTargets, listEnvironments } = require('./config');
 const { SSHConnection } = require('./ssh');
+const logger = require('./logger');
+const { EXIT_CODES, withExitCode } = require('./ci');
+const {
+  isReleaseMode,
+  getLivePath,
+  getReleasesDir,
+  getReleaseKeep,
+  getCurrentRelease,
+  listReleases,
+  cleanupReleases
+} = require('./release');
+const { getBackupKeep, getBackupDir, listBackups, getDirectorySizes, pruneBackups } = require('./backup');
 
 /**
  * 验证部署环境
  */
 async function validateEnvironment(env) {
-  const validEnvs = ['development', 'staging', 'production'];
+  // 有效环境取自配置，没有任何配置时由加载配置时报错
+  let validEnvs;
+  try {
+    validEnvs = await listEnvironments();
+  } catch (error) {
+    throw withExitCode(error, EXIT_CODES.CONFIG);
+  }
   
-  if (!validEnvs.includes(env)) {
-    throw new Error(`无效的环境: ${env}。有效环境: ${validEnvs.join(', ')}`);
+  if (validEnvs.length > 0 && !validEnvs.includes(env)) {
+    throw withExitCode(new Error(`无效的环境: ${env}。有效环境: ${validEnvs.join(', ')}`), EXIT_CODES.CONFIG);
   }
   
   // 检查是否在Git仓库中
   try {
     execSync('git rev-parse --git-dir', { stdio: 'ignore' });
   } catch (error) {
-    throw new Error('当前目录不是Git仓库');
+    throw withExitCode(new Error('当前目录不是Git仓库'), EXIT_CODES.CONFIG);
   }
   
   return true;
@@ -35,6 +52,57 @@ function getCurrentBranch() {
   }
 }
 
+/**
+ * 获取当前提交哈希
+ */
+function getCommitHash(short = true) {
+  try {
+    const command = short ? 'git rev-parse --short HEAD' : 'git rev-parse HEAD';
+    return execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 获取当前提交信息
+ */
+function getCommitInfo() {
+  const git = (command) => {
+    try {
+      return execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  return {
+    hash: git('git rev-parse HEAD'),
+    shortHash: git('git rev-parse --short HEAD'),
+    message: git('git log -1 --format=%s'),
+    author: git('git log -1 --format=%an')
+  };
+}
+
+/**
+ * 获取指定提交落后于本地分支的提交数，无法计算时返回 null
+ */
+function getCommitsBehind(commit, branch) {
+  // commit 来自服务器上的 .deploy-info，只接受提交哈希，且不经过 shell 执行
+  if (!/^[0-9a-f]{7,40}$/.test(String(commit || ''))) {
+    return null;
+  }
+  try {
+    const count = execFileSync('git', ['rev-list', '--count', `${commit}..${branch}`, '--'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    return parseInt(count, 10);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * 获取Git状态
  */
@@ -89,60 +157,133 @@ function getProjectInfo() {
 }
 
 /**
- * 显示部署状态
+ * 加载只操作单台服务器的命令（status、logs）的配置
+ * 环境有多台服务器且未用 --server 指定时使用第一台，并提示可选的服务器
+ */
+async function loadServerConfig(env, server) {
+  const targets = await loadTargets(env, server);
+  if (targets.length > 1) {
+    logger.info(chalk.gray(`${env} 环境有 ${targets.length} 台服务器 (${targets.map(target => target.name).join(', ')})，` +
+      `当前为 ${targets[0].name}，可用 --server 指定\n`));
+  }
+  return targets[0];
+}
+
+/**
+ * 显示部署状态，options.json 为 true 时以 JSON 输出
  */
-async function showStatus(env) {
-  console.log(chalk.cyan(`\n📊 ${env} 环境状态\n`));
+async function showStatus(env, options = {}) {
+  const { json = false, server } = options;
+  
+  if (!json) {
+    logger.info(chalk.cyan(`\n📊 ${env} 环境状态\n`));
+  }
+  
+  const config = await loadServerConfig(env, server);
+  const ssh = new SSHConnection(config);
+  
+  const spinner = logger.spinner('获取服务器状态...').start();
+  let systemInfo;
+  let deployInfo;
+  let currentRelease;
+  let serviceStatus;
   
   try {
-    const config = await loadConfig(env);
-    const ssh = new SSHConnection(config);
-    
-    const spinner = ora('获取服务器状态...').start();
-    
     await ssh.connect();
     
     // 获取系统信息
-    const systemInfo = await ssh.getSystemInfo();
+    systemInfo = await ssh.getSystemInfo();
     
     // 获取部署信息
-    const deployInfo = await getDeployInfo(ssh, config);
+    deployInfo = await getDeployInfo(ssh, config);
+    currentRelease = isReleaseMode(config) ? await getCurrentRelease(ssh, config) : null;
     
     // 获取服务状态
-    const serviceStatus = await getServiceStatus(ssh, config);
-    
-    await ssh.disconnect();
+    serviceStatus = await getServiceStatus(ssh, config);
     
     spinner.succeed('状态获取完成');
-    
-    // 显示信息
-    console.log(chalk.yellow('🖥️  服务器信息:'));
-    console.log(`   主机: ${config.host}:${config.port}`);
-    console.log(`   系统: ${systemInfo.os.split(' ').slice(0, 3).join(' ')}`);
-    console.log(`   主机名: ${systemInfo.hostname}`);
-    
-    console.log(chalk.yellow('\n📁 部署信息:'));
-    console.log(`   部署路径: ${config.deployPath}`);
-    console.log(`   最后部署: ${deployInfo.lastDeploy || '未知'}`);
-    console.log(`   当前版本: ${deployInfo.currentVersion || '未知'}`);
-    
-    if (serviceStatus.length > 0) {
-      console.log(chalk.yellow('\n🔧 服务状态:'));
-      serviceStatus.forEach(service => {
-        const status = service.status === 'active' ? 
-          chalk.green('✓ 运行中') : 
-          chalk.red('✗ 停止');
-        console.log(`   ${service.name}: ${status}`);
-      });
+  } catch (error) {
+    spinner.fail('获取状态失败');
+    throw error;
+  } finally {
+    await ssh.disconnect();
+  }
+  
+  const behind = deployInfo.commit ?
+    getCommitsBehind(deployInfo.commit, deployInfo.branch || getCurrentBranch()) :
+    null;
+  
+  if (json) {
+    console.log(JSON.stringify({
+      env,
+      server: {
+        name: config.name,
+        host: config.host,
+        port: config.port,
+        hostname: systemInfo.hostname,
+        os: systemInfo.os
+      },
+      deployPath: config.deployPath,
+      currentRelease,
+      deploy: deployInfo,
+      commitsBehind: behind,
+      services: serviceStatus,
+      url: config.url
+    }, null, 2));
+    return;
+  }
+  
+  // 显示信息
+  console.log(chalk.yellow('🖥️  服务器信息:'));
+  console.log(`   主机: ${config.host}:${config.port}`);
+  console.log(`   系统: ${systemInfo.os.split(' ').slice(0, 3).join(' ')}`);
+  console.log(`   主机名: ${systemInfo.hostname}`);
+  
+  console.log(chalk.yellow('\n📁 部署信息:'));
+  console.log(`   部署路径: ${config.deployPath}`);
+  if (isReleaseMode(config)) {
+    console.log(`   当前版本目录: ${currentRelease || '未知'}`);
+  }
+  console.log(`   最后部署: ${deployInfo.lastDeploy || '未知'}`);
+  console.log(`   当前版本: ${deployInfo.currentVersion || '未知'}`);
+  
+  if (deployInfo.commit) {
+    console.log(`   分支: ${deployInfo.branch || '未知'}`);
+    console.log(`   提交: ${deployInfo.shortCommit || deployInfo.commit} ${deployInfo.commitMessage || ''}`);
+    console.log(`   部署人: ${deployInfo.user}@${deployInfo.host}`);
+    console.log(`   CLI版本: ${deployInfo.cliVersion || '未知'}`);
+    if (deployInfo.duration !== undefined) {
+      console.log(`   耗时: ${formatTime(Math.round(deployInfo.duration / 1000))}`);
     }
-    
-    if (config.url) {
-      console.log(chalk.yellow('\n🌐 访问地址:'));
-      console.log(`   ${config.url}`);
+    if (behind === null) {
+      console.log(`   落后本地: ${chalk.gray('未知（本地不存在该提交）')}`);
+    } else if (behind > 0) {
+      console.log(`   落后本地: ${chalk.yellow(`${behind} 个提交`)}`);
+    } else {
+      console.log(`   落后本地: ${chalk.green('已是最新')}`);
     }
-    
-  } catch (error) {
-    console.error(chalk.red('获取状态失败:'), error.message);
+  }
+  
+  if (deployInfo.durations) {
+    console.log(chalk.yellow('\n⏱️  步骤耗时:'));
+    Object.entries(deployInfo.durations).forEach(([step, duration]) => {
+      console.log(`   ${step}: ${(duration / 1000).toFixed(1)}s`);
+    });
+  }
+  
+  if (serviceStatus.length > 0) {
+    console.log(chalk.yellow('\n🔧 服务状态:'));
+    serviceStatus.forEach(service => {
+      const status = service.status === 'active' ? 
+        chalk.green('✓ 运行中') : 
+        chalk.red('✗ 停止');
+      console.log(`   ${service.name}: ${status}`);
+    });
+  }
+  
+  if (config.url) {
+    console.log(chalk.yellow('\n🌐 访问地址:'));
+    console.log(`   ${config.url}`);
   }
 }
 
@@ -151,10 +292,11 @@ async function showStatus(env) {
  */
 async function getDeployInfo(ssh, config) {
   try {
-    const deployInfo = {};
+    let deployInfo = {};
+    const livePath = getLivePath(config);
     
     // 检查是否存在部署标记文件
-    const deployMarkFile = `${config.deployPath}/.deploy-info`;
+    const deployMarkFile = `${livePath}/.deploy-info`;
     
     if (await ssh.fileExists(deployMarkFile)) {
       const content = await ssh.exec(`cat ${deployMarkFile}`);
@@ -165,17 +307,21 @@ async function getDeployInfo(ssh, config) {
       }
     }
     
-    // 获取目录最后修改时间
-    try {
-      const lastModified = await ssh.exec(`stat -c %y ${config.deployPath}`);
-      deployInfo.lastDeploy = lastModified.trim();
-    } catch (e) {
-      // 忽略错误
+    // 部署信息中有完成时间时直接使用，否则取目录最后修改时间
+    if (deployInfo.finishedAt) {
+      deployInfo.lastDeploy = new Date(deployInfo.finishedAt).toLocaleString();
+    } else {
+      try {
+        const lastModified = await ssh.exec(`stat -c %y ${livePath}`);
+        deployInfo.lastDeploy = lastModified.trim();
+      } catch (e) {
+        // 忽略错误
+      }
     }
     
     // 尝试获取package.json版本
     try {
-      const packagePath = `${config.deployPath}/package.json`;
+      const packagePath = `${livePath}/package.json`;
       if (await ssh.fileExists(packagePath)) {
         const packageContent = await ssh.exec(`cat ${packagePath}`);
         const packageJson = JSON.parse(packageContent);
@@ -241,23 +387,24 @@ async function getServiceStatus(ssh, config) {
  * 显示日志
  */
 async function showLogs(options) {
-  const { env, lines = 50, follow = false } = options;
+  const { env, lines = 50, follow = false, server } = options;
+  
+  logger.info(chalk.cyan(`\n📝 ${env} 环境日志 (最近${lines}行)\n`));
   
-  console.log(chalk.cyan(`\n📝 ${env} 环境日志 (最近${lines}行)\n`));
+  const config = await loadServerConfig(env, server);
+  const ssh = new SSHConnection(config);
+  
+  await ssh.connect();
   
   try {
-    const config = await loadConfig(env);
-    const ssh = new SSHConnection(config);
-    
-    await ssh.connect();
-    
     // 构建日志命令
     let logCommand = '';
     
     // 尝试不同的日志路径
+    const livePath = getLivePath(config);
     const logPaths = [
-      `${config.deployPath}/logs/app.log`,
-      `${config.deployPath}/app.log`,
+      `${livePath}/logs/app.log`,
+      `${livePath}/app.log`,
       '/var/log/nginx/access.log',
       '/var/log/nginx/error.log'
     ];
@@ -268,46 +415,124 @@ async function showLogs(options) {
           `tail -f -n ${lines} ${logPath}` : 
           `tail -n ${lines} ${logPath}`;
         
-        console.log(chalk.gray(`📄 日志文件: ${logPath}\n`));
+        logger.info(chalk.gray(`📄 日志文件: ${logPath}\n`));
         break;
       }
     }
     
     if (!logCommand) {
-      console.log(chalk.yellow('未找到日志文件'));
-      await ssh.disconnect();
-      return;
+      throw new Error(`未找到日志文件 (已查找: ${logPaths.join(', ')})`);
     }
     
     if (follow) {
-      console.log(chalk.yellow('实时跟踪日志 (按 Ctrl+C 退出):\n'));
+      logger.info(chalk.yellow('实时跟踪日志 (按 Ctrl+C 退出):\n'));
       
-      // 实时跟踪需要特殊处理
-      const stream = await ssh.ssh.requestExec(logCommand);
-      
-      stream.on('data', (data) => {
+      // 实时跟踪需要持续读取输出（经由跳板机时同样通过隧道）
+      const stream = ssh.streamCommand(logCommand, (data) => {
         process.stdout.write(data.toString());
       });
       
-      stream.on('close', () => {
-        ssh.disconnect();
-      });
-      
       // 处理Ctrl+C
       process.on('SIGINT', () => {
         stream.close();
-        ssh.disconnect();
-        process.exit(0);
       });
       
+      await stream.done;
+      
     } else {
-      const logs = await ssh.exec(logCommand);
+      const logs = await ssh.exec(logCommand, { silent: true });
       console.log(logs);
-      await ssh.disconnect();
+    }
+  } finally {
+    await ssh.disconnect();
+  }
+}
+
+/**
+ * 显示备份列表，可选清理超出保留数量的旧备份
+ * 版本目录部署模式下显示各版本目录
+ */
+async function showBackups(options) {
+  const { env, server, prune = false } = options;
+  
+  logger.info(chalk.cyan(`\n💾 ${env} 环境备份\n`));
+  
+  const targets = await loadTargets(env, server);
+  
+  for (const config of targets) {
+    if (targets.length > 1) {
+      logger.info(chalk.cyan(`\n🖥️  ${config.name} (${config.host})\n`));
+    }
+    await showServerBackups(config, prune);
+  }
+}
+
+/**
+ * 显示单台服务器上的备份
+ */
+async function showServerBackups(config, prune) {
+  const releaseMode = isReleaseMode(config);
+  const keep = releaseMode ? getReleaseKeep(config) : getBackupKeep(config);
+  
+  if (!releaseMode && !config.backupPath) {
+    logger.warn(chalk.yellow('该环境未配置备份路径'));
+    return;
+  }
+  
+  const ssh = new SSHConnection(config);
+  await ssh.connect();
+  
+  try {
+    if (prune) {
+      const spinner = logger.spinner('清理旧备份...').start();
+      try {
+        const removed = releaseMode ? 
+          await cleanupReleases(ssh, config, keep) : 
+          await pruneBackups(ssh, config, keep);
+        spinner.succeed(`已清理 ${removed.length} 个旧备份 (保留最近 ${keep} 个)`);
+      } catch (error) {
+        spinner.fail('清理旧备份失败');
+        throw error;
+      }
     }
     
-  } catch (error) {
-    console.error(chalk.red('获取日志失败:'), error.message);
+    const backups = releaseMode ? await listReleases(ssh, config) : await listBackups(ssh, config);
+    const sizes = await getDirectorySizes(ssh, releaseMode ? getReleasesDir(config) : getBackupDir(config));
+    // 旧版本直接保存在 backupPath 下的备份
+    const legacy = backups.filter(backup => backup.legacy).map(backup => backup.id);
+    if (legacy.length > 0) {
+      Object.assign(sizes, await getDirectorySizes(ssh, config.backupPath, legacy));
+    }
+    
+    if (backups.length === 0) {
+      logger.info(chalk.yellow('暂无备份'));
+      return;
+    }
+    
+    let totalSize = 0;
+    backups.forEach((backup, index) => {
+      const size = sizes[backup.id] || 0;
+      totalSize += size;
+      
+      let marker = '';
+      if (backup.current) {
+        marker = chalk.green(' (当前)');
+      } else if (index >= keep) {
+        marker = chalk.yellow(' (超出保留数量)');
+      }
+      
+      if (backup.legacy) {
+        marker += chalk.gray(` (旧位置: ${config.backupPath})`);
+      }
+      
+      const commit = backup.commit ? chalk.gray(` ${backup.commit}`) : '';
+      console.log(`  ${backup.id}  ${formatFileSize(size).padStart(10)}  ${formatAge(backup.timestamp).padStart(8)}${commit}${marker}`);
+    });
+    
+    console.log(chalk.gray(`\n共 ${backups.length} 个，占用 ${formatFileSize(totalSize)}，保留策略: 最近 ${keep} 个`));
+    
+  } finally {
+    await ssh.disconnect();
   }
 }
 
@@ -332,6 +557,42 @@ function formatTime(seconds) {
     `${remainingSeconds}s`;
 }
 
+/**
+ * 格式化距今时长
+ */
+function formatAge(date) {
+  if (!date) {
+    return '未知';
+  }
+  
+  const seconds = Math.max(0, Math.floor((Date.now() - date.getTime()) / 1000));
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}分钟前`;
+  }
+  if (seconds < 86400) {
+    return `${Math.floor(seconds / 3600)}小时前`;
+  }
+  return `${Math.floor(seconds / 86400)}天前`;
+}
+
+/**
+ * 以有限并发执行异步任务，结果顺序与输入一致
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  
+  await Promise.all(runners);
+  return results;
+}
+
 /**
  * 检查端口是否开放
  */
@@ -362,30 +623,55 @@ async function checkPort(host, port) {
 }
 
 /**
- * 显示部署摘要
+ * 获取部署摘要数据（部署摘要和 webhook 事件共用）
  */
-function showDeploymentSummary(env, branch, startTime, endTime) {
+function getDeploymentSummary(env, branch, startTime, endTime) {
   const duration = Math.round((endTime - startTime) / 1000);
   const projectInfo = getProjectInfo();
   
-  console.log(chalk.cyan('\n📋 部署摘要\n'));
-  console.log(`项目: ${projectInfo.name} v${projectInfo.version}`);
-  console.log(`环境: ${env}`);
-  console.log(`分支: ${branch}`);
-  console.log(`耗时: ${formatTime(duration)}`);
-  console.log(`时间: ${new Date().toLocaleString()}`);
-  console.log(`提交: ${projectInfo.lastCommit}`);
+  return {
+    project: projectInfo.name,
+    version: projectInfo.version,
+    env,
+    branch,
+    duration,
+    durationText: formatTime(duration),
+    time: new Date(endTime).toISOString(),
+    commit: projectInfo.lastCommit
+  };
+}
+
+/**
+ * 显示部署摘要
+ */
+function showDeploymentSummary(env, branch, startTime, endTime) {
+  const summary = getDeploymentSummary(env, branch, startTime, endTime);
+  
+  logger.info(chalk.cyan('\n📋 部署摘要\n'));
+  logger.info(`项目: ${summary.project} v${summary.version}`);
+  logger.info(`环境: ${summary.env}`);
+  logger.info(`分支: ${summary.branch}`);
+  logger.info(`耗时: ${summary.durationText}`);
+  logger.info(`时间: ${new Date(summary.time).toLocaleString()}`);
+  logger.info(`提交: ${summary.commit}`);
 }
 
 module.exports = {
   validateEnvironment,
   getCurrentBranch,
+  getCommitHash,
+  getCommitInfo,
+  getCommitsBehind,
   getGitStatus,
   getProjectInfo,
   showStatus,
   showLogs,
+  showBackups,
   formatFileSize,
   formatTime,
+  formatAge,
+  runWithConcurrency,
   checkPort,
+  getDeploymentSummary,
   showDeploymentSummary
 };
\ No newline at end of file
@@ -0,0 +1,274 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const inquirer = require('inquirer');
+
+const VAULT_FILE = path.join(os.homedir(), '.deploy-cli', 'vault.json');
+// CI 等无法交互输入时通过该环境变量提供主密码
+const VAULT_KEY_ENV = 'DEPLOY_CLI_VAULT_KEY';
+// 配置中以该前缀开头的值表示引用保险库中的密钥，如 vault:staging-server.password
+const SECRET_PREFIX = 'vault:';
+
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// 本进程中已输入的主密码，避免重复询问
+let cachedPassphrase = null;
+
+/**
+ * 判断配置值是否为保险库引用
+ */
+function isSecretRef(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+/**
+ * 生成保险库引用
+ */
+function secretRef(name) {
+  return `${SECRET_PREFIX}${name}`;
+}
+
+/**
+ * 从保险库引用中取出密钥名称
+ */
+function getSecretName(ref) {
+  return ref.slice(SECRET_PREFIX.length);
+}
+
+/**
+ * 获取主密码：优先使用环境变量，否则交互输入
+ * 创建新保险库或更换主密码时需要再次输入确认
+ */
+async function getPassphrase({ confirm = false, message = '保险库主密码:' } = {}) {
+  if (process.env[VAULT_KEY_ENV]) {
+    return process.env[VAULT_KEY_ENV];
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`无法输入保险库主密码，请设置环境变量 ${VAULT_KEY_ENV}`);
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message,
+      mask: '*',
+      validate: (input) => input.length >= 8 || '主密码至少 8 个字符'
+    },
+    {
+      type: 'password',
+      name: 'confirmation',
+      message: '再次输入主密码:',
+      mask: '*',
+      when: () => confirm,
+      validate: (input, current) => input === current.passphrase || '两次输入的主密码不一致'
+    }
+  ]);
+
+  return answers.passphrase;
+}
+
+/**
+ * 使用主密码加密密钥表
+ */
+function encrypt(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_OPTIONS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: { name: 'scrypt', ...SCRYPT_OPTIONS, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * 使用主密码解密保险库文件内容
+ */
+function decrypt(vault, passphrase) {
+  const { N, r, p, salt } = vault.kdf;
+  const key = crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+
+  try {
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(vault.data, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error('保险库主密码错误或文件已损坏');
+  }
+}
+
+/**
+ * 读取并解密保险库，不存在时返回空表
+ */
+async function loadVault() {
+  if (!(await fs.pathExists(VAULT_FILE))) {
+    return {};
+  }
+
+  let vault;
+  try {
+    vault = await fs.readJson(VAULT_FILE);
+  } catch (error) {
+    throw new Error(`读取保险库 ${VAULT_FILE} 失败: ${error.message}`);
+  }
+
+  const passphrase = cachedPassphrase || await getPassphrase();
+  const secrets = decrypt(vault, passphrase);
+  cachedPassphrase = passphrase;
+  return secrets;
+}
+
+/**
+ * 加密并保存保险库（仅当前用户可读写）
+ */
+async function saveVault(secrets, passphrase) {
+  if (!passphrase) {
+    passphrase = cachedPassphrase || await getPassphrase({
+      confirm: !(await fs.pathExists(VAULT_FILE)),
+      message: '设置保险库主密码:'
+    });
+  }
+
+  await fs.ensureDir(path.dirname(VAULT_FILE));
+  await fs.writeFile(VAULT_FILE, JSON.stringify(encrypt(secrets, passphrase), null, 2), { mode: 0o600 });
+  await fs.chmod(VAULT_FILE, 0o600);
+  cachedPassphrase = passphrase;
+}
+
+/**
+ * 保存多个密钥，返回对应的引用
+ */
+async function setSecrets(entries) {
+  const secrets = await loadVault();
+  Object.assign(secrets, entries);
+  await saveVault(secrets);
+
+  return Object.fromEntries(Object.keys(entries).map(name => [name, secretRef(name)]));
+}
+
+/**
+ * 保存密钥，返回配置中使用的引用
+ */
+async function setSecret(name, value) {
+  const refs = await setSecrets({ [name]: value });
+  return refs[name];
+}
+
+/**
+ * 删除密钥，不存在时返回 false
+ */
+async function removeSecret(name) {
+  const secrets = await loadVault();
+  if (!(name in secrets)) {
+    return false;
+  }
+
+  delete secrets[name];
+  await saveVault(secrets);
+  return true;
+}
+
+/**
+ * 列出保险库中的密钥名称
+ */
+async function listSecrets() {
+  return Object.keys(await loadVault()).sort();
+}
+
+/**
+ * 更换主密码：用旧密码解密后以新密码重新加密
+ */
+async function rotatePassphrase() {
+  if (!(await fs.pathExists(VAULT_FILE))) {
+    throw new Error('保险库不存在，无需更换主密码');
+  }
+
+  const secrets = await loadVault();
+
+  // 使用环境变量提供主密码时，新密码也需要通过 DEPLOY_CLI_VAULT_KEY_NEW 提供
+  let newPassphrase = process.env[`${VAULT_KEY_ENV}_NEW`];
+  if (!newPassphrase) {
+    if (process.env[VAULT_KEY_ENV]) {
+      throw new Error(`请通过环境变量 ${VAULT_KEY_ENV}_NEW 提供新的主密码`);
+    }
+    newPassphrase = await getPassphrase({ confirm: true, message: '新的保险库主密码:' });
+  }
+
+  await saveVault(secrets, newPassphrase);
+  return Object.keys(secrets).length;
+}
+
+/**
+ * 查找对象中所有保险库引用
+ */
+function collectSecretRefs(value, refs = []) {
+  if (isSecretRef(value)) {
+    refs.push(getSecretName(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectSecretRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectSecretRefs(item, refs));
+  }
+  return refs;
+}
+
+/**
+ * 将对象中的保险库引用替换为解密后的值（返回新对象）
+ * 没有引用时不会读取保险库，也不会询问主密码
+ */
+async function resolveSecrets(value) {
+  const refs = collectSecretRefs(value);
+  if (refs.length === 0) {
+    return value;
+  }
+
+  const secrets = await loadVault();
+  const missing = refs.filter(name => !(name in secrets));
+  if (missing.length > 0) {
+    throw new Error(`保险库中不存在密钥: ${[...new Set(missing)].join(', ')}`);
+  }
+
+  const replace = (item) => {
+    if (isSecretRef(item)) {
+      return secrets[getSecretName(item)];
+    }
+    if (Array.isArray(item)) {
+      return item.map(replace);
+    }
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, val]) => [key, replace(val)]));
+    }
+    return item;
+  };
+
+  return replace(value);
+}
+
+module.exports = {
+  VAULT_FILE,
+  VAULT_KEY_ENV,
+  isSecretRef,
+  secretRef,
+  getSecretName,
+  loadVault,
+  setSecret,
+  setSecrets,
+  removeSecret,
+  listSecrets,
+  rotatePassphrase,
+  resolveSecrets
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { request } = require('./http');
+
+// 可订阅的事件
+const WEBHOOK_EVENTS = ['started', 'success', 'failure', 'rollback'];
+const DEFAULT_SIGNATURE_HEADER = 'X-Deploy-Signature';
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+// 重试等待时间上限
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * 获取环境配置的 webhook 列表并检查配置
+ * 每个 webhook 为 { name, url, events, headers, payload, secret, signatureHeader, retries, retryDelay, timeout }
+ */
+function getWebhooks(config = {}) {
+  const webhooks = config.webhooks ? [].concat(config.webhooks) : [];
+
+  return webhooks.filter(Boolean).map((hook, index) => {
+    const item = typeof hook === 'string' ? { url: hook } : hook;
+    const name = item.name || item.url || `webhooks[${index}]`;
+
+    if (!item.url) {
+      throw new Error(`webhook ${name} 缺少 url`);
+    }
+
+    const events = item.events ? [].concat(item.events) : WEBHOOK_EVENTS;
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`webhook ${name} 的事件无效: ${unknown.join(', ')} (可用: ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+
+    return {
+      ...item,
+      name,
+      events,
+      headers: item.headers || {},
+      signatureHeader: item.signatureHeader || DEFAULT_SIGNATURE_HEADER,
+      retries: item.retries !== undefined ? Math.max(0, parseInt(item.retries, 10) || 0) : DEFAULT_RETRIES,
+      retryDelay: item.retryDelay !== undefined ? item.retryDelay : DEFAULT_RETRY_DELAY
+    };
+  });
+}
+
+/**
+ * 按点号路径读取事件中的值，例如 summary.project
+ */
+function getValue(data, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), data);
+}
+
+/**
+ * 渲染模板：字符串中的 {{path}} 替换为事件中的值
+ * 整个字符串只有一个 {{path}} 时保留原始类型（数字、数组、对象），不存在的值替换为空
+ */
+function renderTemplate(template, data) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = getValue(data, whole[1]);
+      return value === undefined ? null : value;
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+      const value = getValue(data, key);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, data));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, data)]));
+  }
+  return template;
+}
+
+/**
+ * 计算请求体的 HMAC-SHA256 签名，格式为 sha256=<hex>
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', String(secret)).update(body).digest('hex')}`;
+}
+
+/**
+ * 发送一次 webhook 请求，返回是否可以重试
+ */
+async function postWebhook(hook, body, headers) {
+  let response;
+  try {
+    response = await request(hook.url, {
+      method: hook.method || 'POST',
+      headers,
+      body,
+      timeout: hook.timeout || 10000
+    });
+  } catch (error) {
+    return { error, retryable: true };
+  }
+
+  if (response.status >= 200 && response.status < 300) {
+    return { error: null };
+  }
+
+  // 服务端错误和限流可以重试，其他 4xx 重试也不会成功
+  const retryable = response.status >= 500 || response.status === 429 || response.status === 408;
+  return {
+    error: new Error(`HTTP ${response.status} ${response.body.slice(0, 200)}`.trim()),
+    retryable
+  };
+}
+
+/**
+ * 向 webhook 发送事件，失败时按 retryDelay 加倍等待后重试
+ * 请求体为渲染后的 payload 模板（未配置时为完整事件），配置了 secret 时附带签名头
+ */
+async function sendWebhook(hook, event) {
+  const payload = hook.payload !== undefined ? renderTemplate(hook.payload, event) : event;
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'deploy-cli',
+    'X-Deploy-Event': event.event
+  };
+  Object.entries(renderTemplate(hook.headers, event)).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      headers[key] = String(value);
+    }
+  });
+  if (hook.secret) {
+    headers[hook.signatureHeader] = signPayload(hook.secret, body);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const { error, retryable } = await postWebhook(hook, body, headers);
+    if (!error) {
+      return attempt;
+    }
+    if (!retryable || attempt >= hook.retries) {
+      throw new Error(`${error.message}${attempt > 0 ? ` (已重试 ${attempt} 次)` : ''}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Math.min(hook.retryDelay * 2 ** attempt, MAX_RETRY_DELAY)));
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  getWebhooks,
+  renderTemplate,
+  signPayload,
+  sendWebhook
+};
@@ -11,17 +11,18 @@ module.exports = {
 
   // 构建配置
   build: {
-    // 本地构建命令
-    command: 'npm run build',
+    // 本地构建命令；服务器上的钩子要执行 npm install 时，需要把 package.json 一起放进 outputDir
+    command: 'npm run build && cp package.json package-lock.json dist/',
     // 构建输出目录
     outputDir: 'dist',
-    // 需要上传的文件/目录
+    // 需要上传的文件/目录（glob，相对项目根目录；不配置时上传 outputDir 中的全部文件）
+    // 只会上传 outputDir 中的文件，以 . 开头的文件（如 .htaccess、.well-known/）同样会上传
     include: [
       'dist/**/*',
-      'package.json',
-      'package-lock.json'
+      '!dist/**/*.map'
     ],
-    // 排除的文件/目录
+    // 排除的文件/目录，语法与 .gitignore 相同（支持 ! 重新包含）
+    // 项目根目录中的 .deployignore 在这些规则之后生效；deploy --list-files 可查看实际上传的文件
     exclude: [
       'node_modules',
       '.git',
@@ -37,18 +38,37 @@ module.exports = {
       host: 'dev.example.com',
       port: 22,
       username: 'deploy',
-      // 认证方式：password 或 privateKey
+      // 认证方式：password 或 privateKey（私钥路径，连接时读取）
+      // 省略 auth 时使用 ssh-agent (SSH_AUTH_SOCK)；host 也可以写 ~/.ssh/config 中的 Host 别名
       auth: {
         type: 'privateKey',
         privateKey: '~/.ssh/id_rsa'
         // 或使用密码
         // type: 'password',
-        // password: 'your-password'
+        // password: 'vault:staging.password' // 引用保险库中的密钥，不要在此填写明文密码
       },
       
+      // 通过跳板机连接（可选），多级跳板机写成数组，按连接顺序排列，每级使用各自的 auth
+      // 也可以写成 ProxyJump 格式的字符串: 'ops@bastion.example.com:22'
+      // jumpHost: {
+      //   host: 'bastion.example.com',
+      //   username: 'ops',
+      //   auth: { type: 'privateKey', privateKey: '~/.ssh/bastion_key' }
+      // },
+      
       // 部署路径
       deployPath: '/var/www/development',
       
+      // 上传方式：'rsync' 逐个文件上传（默认），'archive' 本地打包为 tar.gz 上传后在服务器解压
+      uploadType: 'rsync',
+      
+      // 版本目录部署：上传到 deployPath/releases/<版本>，完成后原子切换 deployPath/current 软链
+      // 启用后无需再整目录备份，Web 服务器根目录应指向 deployPath/current
+      releases: {
+        enabled: false,
+        keep: 5 // 保留最近5个版本
+      },
+      
       // 备份配置
       backup: {
         enabled: true,
@@ -57,6 +77,11 @@ module.exports = {
       },
       
       // 部署钩子
+      // 每个钩子可以是命令字符串，也可以是对象:
+      //   { command, local, cwd, timeout, continueOnError }
+      // beforeDeploy 默认在本地执行，其余阶段默认在服务器上执行；
+      // 远程钩子默认工作目录为本次上传的目录（版本目录部署时为新版本目录）
+      // onFailure 在任一步骤失败时执行，单个钩子失败不影响后续钩子
       hooks: {
         // 部署前执行
         beforeDeploy: [
@@ -64,8 +89,12 @@ module.exports = {
         ],
         // 上传后执行
         afterUpload: [
-          'cd /var/www/development',
-          'npm install --production'
+          'npm install --production',
+          {
+            command: 'npm run migrate',
+            timeout: 120000, // 毫秒，默认不限时
+            continueOnError: true
+          }
         ],
         // 部署后执行
         afterDeploy: [
@@ -74,11 +103,15 @@ module.exports = {
         ]
       },
       
-      // 健康检查
+      // 健康检查：重启服务后轮询 url（或 TCP 端口 port），全部失败则部署失败
       healthCheck: {
         url: 'http://dev.example.com/health',
-        timeout: 30000,
-        retries: 3
+        // port: 3000, // 不配置 url 时检查 host 的该端口是否可连接
+        timeout: 30000, // 单次请求超时（毫秒）
+        retries: 3, // 最多检查次数
+        interval: 5000, // 两次检查的间隔（毫秒）
+        expectedStatus: 200, // 期望的状态码，可为数组，默认 2xx/3xx
+        expectedBody: 'ok' // 响应内容需包含的字符串（可选）
       }
     },
 
@@ -106,9 +139,7 @@ module.exports = {
           'npm run test' // 运行测试
         ],
         afterUpload: [
-          'cd /var/www/staging',
-          'npm install --production',
-          'npm run build:staging'
+          'npm install --production'
         ],
         afterDeploy: [
           'pm2 restart staging-app',
@@ -142,14 +173,33 @@ module.exports = {
         keep: 20
       },
       
+      // 多台服务器：列出的每台服务器继承本环境的配置，可单独覆盖 host、port、auth、deployPath 等字段
+      // 构建只执行一次，然后按 global.concurrency 依次或并发部署到各服务器，任一台失败则部署失败
+      // servers: [
+      //   { name: 'app-1', host: 'app1.example.com' },
+      //   { name: 'app-2', host: 'app2.example.com', port: 2222 }
+      // ],
+      
       // 生产环境需要确认
       requireConfirmation: true,
       
-      // 灰度发布配置
+      // 多服务器部署策略: 'all'（默认）、'rolling'（分批滚动）、'canary'（金丝雀）
+      // strategy: 'rolling',
+      
+      // 滚动部署：每批部署 batchSize 台，某批失败则停止后续批次
+      rolling: {
+        batchSize: 1
+      },
+      
+      // 灰度发布配置（enabled 为 true 且未设置 strategy 时使用金丝雀部署）
+      // 先部署 percentage% 的服务器，在 duration 秒内每隔 interval 秒做一次健康检查，
+      // 不健康时停止部署并按 autoRollback 回滚金丝雀服务器
       canary: {
         enabled: false,
         percentage: 10,
-        duration: 300 // 5分钟
+        duration: 300, // 5分钟
+        interval: 30,
+        autoRollback: true
       },
       
       hooks: {
@@ -159,7 +209,6 @@ module.exports = {
           'npm run lint'
         ],
         afterUpload: [
-          'cd /var/www/production',
           'npm install --production --silent',
           'npm run build:production'
         ],
@@ -183,7 +232,27 @@ module.exports = {
         timeout: 60000,
         retries: 10,
         interval: 5000
-      }
+      },
+      
+      // 部署事件 webhook：events 可选 started、success、failure、rollback（默认全部）
+      // payload 和 headers 中的 {{path}} 替换为事件数据（如 {{env}}、{{title}}、{{summary.durationText}}），未配置 payload 时发送完整事件
+      // 配置 secret 时以 HMAC-SHA256 签名请求体，放在 signatureHeader（默认 X-Deploy-Signature: sha256=<hex>）中
+      // 非 2xx（4xx 除 408/429 外）或网络错误时重试 retries 次（默认 3），间隔从 retryDelay 毫秒开始加倍
+      webhooks: [
+        // {
+        //   name: 'dashboard',
+        //   url: 'https://dashboard.example.com/api/deploys',
+        //   events: ['success', 'failure', 'rollback'],
+        //   secret: 'vault:dashboard.secret',
+        //   headers: { 'X-Project': '{{summary.project}}' },
+        //   payload: {
+        //     text: '{{env}} {{title}}: {{summary.commit}} ({{summary.durationText}})',
+        //     servers: '{{servers}}'
+        //   },
+        //   retries: 3,
+        //   retryDelay: 1000
+        // }
+      ]
     }
   },
 
@@ -195,20 +264,21 @@ module.exports = {
     // 重试次数
     retries: 3,
     
-    // 并发连接数
+    // 多服务器环境同时部署的服务器数量
     concurrency: 1,
     
     // 日志配置
     logging: {
-      level: 'info', // error, warn, info, debug
-      file: 'deploy.log'
+      level: 'info', // 控制台输出级别: error, warn, info, debug（命令行 --verbose / --quiet 优先）
+      file: 'deploy.log', // 部署日志写入 ~/.deploy-cli/logs/<时间>-<环境>-deploy.log，false 不写日志文件
+      keep: 50 // 保留的日志文件数量
     },
     
-    // 通知配置
+    // 通知配置：部署开始、成功、失败和回滚时发送，发送失败不影响部署
     notifications: {
       slack: {
         enabled: false,
-        webhook: 'https://hooks.slack.com/services/YOUR/SLACK/WEBHOOK',
+        webhook: 'https://hooks.slack.com/services/YOUR/SLACK/WEBHOOK', // Incoming Webhook 地址
         channel: '#deployments',
         username: 'Deploy Bot'
       },
@@ -217,10 +287,10 @@ module.exports = {
         smtp: {
           host: 'smtp.gmail.com',
           port: 587,
-          secure: false,
+          secure: false, // true 使用 SMTPS（通常为 465 端口），false 时服务器支持 STARTTLS 则自动升级
           auth: {
             user: 'your-email@gmail.com',
-            pass: 'your-password'
+            pass: 'your-password' // 可使用保险库引用 vault:<名称>
           }
         },
         from: 'deploy@example.com',
@@ -231,19 +301,32 @@ module.exports = {
 
   // 高级配置
   advanced: {
-    // 是否启用增量部署
+    // 是否启用增量部署：对比服务器上的 .deploy-manifest.json，只上传新增和修改的文件
+    // 也可以写成 { enabled: true, deleteRemoved: true }，deleteRemoved 会删除本地已移除的文件
+    // deploy --full 可强制完整上传
     incrementalDeploy: false,
     
-    // 文件压缩
+    // 文件压缩（uploadType 为 'archive' 时使用，目前仅支持 gzip；enabled: false 时逐个文件上传）
     compression: {
       enabled: true,
       algorithm: 'gzip'
     },
     
     // 文件传输配置
+    // 单个文件上传失败时按 retryDelay 毫秒起、每次加倍的间隔重试 maxRetries 次（未配置时使用 global.retries）
+    // 不小于 chunkSize 的文件先写入 .part 文件，重试时从服务器上已写入的位置续传
     transfer: {
       chunkSize: 1024 * 1024, // 1MB
-      maxRetries: 3
+      maxRetries: 3,
+      concurrency: 10, // 同时上传的文件数
+      retryDelay: 1000
+    },
+    
+    // 部署锁：部署和回滚期间在服务器上创建 .deploy-cli/deploy.lock，防止多人同时部署
+    // 持有锁的进程已退出或锁文件超过 staleAfter 秒未刷新时视为过期并自动清除，也可运行 deploy-cli unlock -e <环境> 手动解除
+    lock: {
+      enabled: true,
+      staleAfter: 600
     },
     
     // 回滚配置
@@ -0,0 +1,66 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { getBackupDir, listBackups, pruneBackups, restoreBackup } = require('../lib/backup');
+const { createLocalSsh } = require('./helpers');
+
+/**
+ * 创建备份目录，内容为 index.html 和部署信息
+ */
+async function createBackupDir(dir, content, commit) {
+  await fs.outputFile(path.join(dir, 'index.html'), content);
+  await fs.outputJson(path.join(dir, '.deploy-info'), { shortCommit: commit });
+}
+
+describe('备份目录', () => {
+  let root;
+  let config;
+  const ssh = createLocalSsh();
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'deploy-cli-backup-'));
+    config = {
+      deployPath: path.join(root, 'www/app'),
+      backupPath: path.join(root, 'backups')
+    };
+    await fs.outputFile(path.join(config.deployPath, 'index.html'), 'live');
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('按部署路径区分备份目录', () => {
+    assert.equal(getBackupDir({ deployPath: '/var/www/app/', backupPath: '/var/backups' }), '/var/backups/var-www-app');
+    assert.equal(getBackupDir({ deployPath: '/', backupPath: '/var/backups' }), '/var/backups/root');
+  });
+
+  test('列出、清理和恢复旧版本直接保存在 backupPath 下的备份', async () => {
+    const backupDir = getBackupDir(config);
+    await createBackupDir(path.join(config.backupPath, 'backup-2024-01-01T00-00-00-000Z'), 'legacy-1', 'aaa1111');
+    await createBackupDir(path.join(config.backupPath, 'backup-2024-02-01T00-00-00-000Z'), 'legacy-2', 'bbb2222');
+    await createBackupDir(path.join(backupDir, 'backup-2024-03-01T00-00-00-000Z'), 'new-1', 'ccc3333');
+
+    const backups = await listBackups(ssh, config);
+    assert.deepEqual(backups.map(backup => [backup.id, backup.legacy, backup.commit]), [
+      ['backup-2024-03-01T00-00-00-000Z', false, 'ccc3333'],
+      ['backup-2024-02-01T00-00-00-000Z', true, 'bbb2222'],
+      ['backup-2024-01-01T00-00-00-000Z', true, 'aaa1111']
+    ]);
+
+    await restoreBackup(ssh, config, 'backup-2024-02-01T00-00-00-000Z');
+    assert.equal(await fs.readFile(path.join(config.deployPath, 'index.html'), 'utf8'), 'legacy-2');
+
+    // 恢复时被替换的线上目录保存为新位置的备份，加上原有的 3 个共 4 个
+    const removed = await pruneBackups(ssh, config, 2);
+    assert.deepEqual(removed.map(backup => backup.id), [
+      'backup-2024-02-01T00-00-00-000Z',
+      'backup-2024-01-01T00-00-00-000Z'
+    ]);
+    assert.equal(await fs.pathExists(path.join(config.backupPath, 'backup-2024-01-01T00-00-00-000Z')), false);
+    assert.equal(await fs.pathExists(path.join(config.backupPath, 'backup-2024-02-01T00-00-00-000Z')), false);
+    assert.equal((await listBackups(ssh, config)).length, 2);
+  });
+});
@@ -0,0 +1,136 @@
+const http = require('http');
+const { execSync } = require('child_process');
+const fs = require('fs-extra');
+const { SMTPServer } = require('smtp-server');
+
+/**
+ * 启动本地 HTTP 服务，记录收到的请求
+ * statuses 为依次返回的状态码，用完后返回最后一个
+ */
+async function startHttpSink(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const status = statuses[Math.min(requests.length, statuses.length - 1)];
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status >= 400 ? `error ${status}` : 'ok');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * 启动本地 SMTP 服务，记录收到的邮件 { from, to, auth, raw }
+ */
+async function startSmtpSink() {
+  const messages = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    allowInsecureAuth: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onAuth(auth, session, callback) {
+      callback(null, { user: { username: auth.username, password: auth.password } });
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        messages.push({
+          from: session.envelope.mailFrom.address,
+          to: session.envelope.rcptTo.map(item => item.address),
+          auth: session.user,
+          raw: Buffer.concat(chunks).toString('utf8')
+        });
+        callback();
+      });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * 解码邮件头中的 =?UTF-8?B?...?= / =?UTF-8?Q?...?=
+ */
+function decodeHeader(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi, (match, encoding, text) => (encoding.toUpperCase() === 'B' ?
+      Buffer.from(text, 'base64').toString('utf8') :
+      decodeQuotedPrintable(text.replace(/_/g, ' '))));
+}
+
+/**
+ * 解码 quoted-printable 文本
+ */
+function decodeQuotedPrintable(text) {
+  const bytes = text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => `%${hex}`);
+  return decodeURIComponent(bytes.replace(/%(?![0-9A-F]{2})/gi, '%25'));
+}
+
+/**
+ * 解析纯文本邮件，返回 { headers, text }
+ */
+function parseMail(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const headers = {};
+  head.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const index = line.indexOf(':');
+    headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+  });
+
+  const body = rest.join('\r\n\r\n');
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  let text = body;
+  if (encoding === 'base64') {
+    text = Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  } else if (encoding === 'quoted-printable') {
+    text = decodeQuotedPrintable(body);
+  }
+
+  return {
+    headers: { ...headers, subject: decodeHeader(headers.subject || '') },
+    text: text.replace(/\r\n/g, '\n')
+  };
+}
+
+/**
+ * 在本机执行命令的 SSH 连接替身，用临时目录模拟服务器
+ */
+function createLocalSsh() {
+  return {
+    exec: async command => execSync(command, { encoding: 'utf8', shell: '/bin/sh' }),
+    directoryExists: async dir => (await fs.pathExists(dir)) && (await fs.stat(dir)).isDirectory()
+  };
+}
+
+module.exports = {
+  createLocalSsh,
+  startHttpSink,
+  startSmtpSink,
+  parseMail
+};
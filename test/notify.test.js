@@ -0,0 +1,136 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeployEvent, describeEvent, notifyDeployEvent } = require('../lib/notify');
+const { startHttpSink, startSmtpSink, parseMail } = require('./helpers');
+
+const record = {
+  type: 'deploy',
+  startedAt: new Date(Date.now() - 65000).toISOString(),
+  servers: ['web-1', 'web-2']
+};
+
+/**
+ * 生成带通知配置的部署配置
+ */
+function createConfig(notifications, webhooks) {
+  return {
+    project: { name: 'my-app' },
+    url: 'https://app.example.com',
+    global: { notifications },
+    webhooks
+  };
+}
+
+describe('createDeployEvent', () => {
+  test('包含环境、服务器、耗时和失败原因', () => {
+    const event = createDeployEvent('failure', {
+      env: 'production',
+      branch: 'main',
+      config: createConfig({}),
+      record,
+      error: new Error('健康检查失败')
+    });
+
+    assert.equal(event.event, 'failure');
+    assert.equal(event.title, '部署失败');
+    assert.equal(event.project, 'my-app');
+    assert.deepEqual(event.servers, ['web-1', 'web-2']);
+    assert.equal(event.error, '健康检查失败');
+    assert.ok(event.duration >= 65000);
+    assert.equal(event.summary.env, 'production');
+
+    const fields = Object.fromEntries(describeEvent(event));
+    assert.equal(fields['服务器'], 'web-1, web-2');
+    assert.equal(fields['原因'], '健康检查失败');
+    assert.equal(fields['访问地址'], 'https://app.example.com');
+  });
+
+  test('回滚事件使用回滚目标的提交', () => {
+    const event = createDeployEvent('rollback', {
+      env: 'staging',
+      record: { type: 'rollback', commit: 'abc1234', target: '20240101000000-abc1234', server: 'web-1' }
+    });
+
+    assert.equal(event.shortCommit, 'abc1234');
+    assert.equal(event.target, '20240101000000-abc1234');
+    assert.deepEqual(event.servers, ['web-1']);
+    assert.equal(event.duration, 0);
+  });
+});
+
+describe('notifyDeployEvent', () => {
+  let http;
+  let smtp;
+
+  before(async () => {
+    http = await startHttpSink([200]);
+    smtp = await startSmtpSink();
+  });
+
+  after(async () => {
+    await http.close();
+    await smtp.close();
+  });
+
+  test('发送 Slack、邮件和订阅了该事件的 webhook', async () => {
+    const config = createConfig({
+      slack: { enabled: true, webhook: `${http.url}/slack`, channel: '#deploy', username: 'Deploy Bot' },
+      email: {
+        enabled: true,
+        smtp: { host: '127.0.0.1', port: smtp.port, ignoreTLS: true, auth: { user: 'bot', pass: 'secret' } },
+        from: 'Deploy <deploy@example.com>',
+        to: ['team@example.com', 'ops@example.com']
+      }
+    }, [
+      { url: `${http.url}/hook`, events: ['success'], payload: { text: '{{env}} {{title}}' } },
+      { url: `${http.url}/failures`, events: ['failure'] }
+    ]);
+
+    await notifyDeployEvent('success', { env: 'production', branch: 'main', config, record });
+
+    const slack = http.requests.find(request => request.url === '/slack');
+    const payload = JSON.parse(slack.body);
+    assert.equal(payload.text, '[my-app] production 部署成功');
+    assert.equal(payload.channel, '#deploy');
+    assert.equal(payload.attachments[0].color, 'good');
+    assert.ok(payload.attachments[0].fields.some(field => field.title === '服务器' && field.value === 'web-1, web-2'));
+
+    const hook = http.requests.find(request => request.url === '/hook');
+    assert.deepEqual(JSON.parse(hook.body), { text: 'production 部署成功' });
+    assert.equal(http.requests.some(request => request.url === '/failures'), false);
+
+    assert.equal(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.equal(message.from, 'deploy@example.com');
+    assert.deepEqual(message.to, ['team@example.com', 'ops@example.com']);
+    assert.deepEqual(message.auth, { username: 'bot', password: 'secret' });
+
+    const mail = parseMail(message.raw);
+    assert.equal(mail.headers.subject, '[my-app] production 部署成功');
+    assert.match(mail.text, /环境: production/);
+    assert.match(mail.text, /服务器: web-1, web-2/);
+  });
+
+  test('通知失败只输出警告，不抛出错误', async (t) => {
+    const output = [];
+    t.mock.method(console, 'log', message => output.push(String(message)));
+
+    const config = createConfig({
+      slack: { enabled: true, webhook: 'http://127.0.0.1:1/slack' },
+      email: { enabled: true, smtp: { host: '127.0.0.1', port: 1, timeout: 2000 }, from: 'deploy@example.com', to: 'team@example.com' }
+    });
+
+    await notifyDeployEvent('failure', { env: 'staging', config, record, error: new Error('构建失败') });
+
+    assert.ok(output.some(line => line.includes('发送Slack通知失败')));
+    assert.ok(output.some(line => line.includes('发送邮件通知失败')));
+  });
+
+  test('未启用任何通知时不发送', async () => {
+    const count = http.requests.length;
+
+    await notifyDeployEvent('success', { env: 'staging', config: createConfig({ slack: { enabled: false, webhook: `${http.url}/slack` } }), record });
+
+    assert.equal(http.requests.length, count);
+  });
+});
@@ -0,0 +1,120 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { getWebhooks, renderTemplate, signPayload, sendWebhook } = require('../lib/webhook');
+const { startHttpSink } = require('./helpers');
+
+const event = {
+  event: 'success',
+  title: '部署成功',
+  env: 'production',
+  servers: ['web-1', 'web-2'],
+  duration: 1234,
+  summary: { project: 'my-app', commit: 'abc1234' }
+};
+
+describe('getWebhooks', () => {
+  test('填充默认值', () => {
+    const [hook] = getWebhooks({ webhooks: ['http://example.com/hook'] });
+
+    assert.equal(hook.url, 'http://example.com/hook');
+    assert.deepEqual(hook.events, ['started', 'success', 'failure', 'rollback']);
+    assert.equal(hook.signatureHeader, 'X-Deploy-Signature');
+    assert.equal(hook.retries, 3);
+  });
+
+  test('事件无效时报错', () => {
+    assert.throws(
+      () => getWebhooks({ webhooks: [{ url: 'http://example.com', events: ['deployed'] }] }),
+      /事件无效: deployed/
+    );
+  });
+
+  test('缺少 url 时报错', () => {
+    assert.throws(() => getWebhooks({ webhooks: [{ name: 'ci' }] }), /webhook ci 缺少 url/);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('替换字符串中的占位符', () => {
+    assert.equal(renderTemplate('{{summary.project}} {{env}} {{title}}', event), 'my-app production 部署成功');
+  });
+
+  test('整个值只有一个占位符时保留原始类型', () => {
+    assert.deepEqual(renderTemplate({ servers: '{{servers}}', duration: '{{duration}}' }, event), {
+      servers: ['web-1', 'web-2'],
+      duration: 1234
+    });
+  });
+
+  test('不存在的值替换为空', () => {
+    assert.equal(renderTemplate('[{{missing.value}}]', event), '[]');
+    assert.equal(renderTemplate('{{missing}}', event), null);
+  });
+});
+
+describe('sendWebhook', () => {
+  let sink;
+
+  before(async () => {
+    sink = await startHttpSink([500, 502, 200]);
+  });
+
+  after(async () => {
+    await sink.close();
+  });
+
+  test('发送签名后的模板内容，5xx 时重试', async () => {
+    const [hook] = getWebhooks({
+      webhooks: [{
+        url: `${sink.url}/deploy`,
+        secret: 'shh',
+        retryDelay: 10,
+        headers: { 'X-Project': '{{summary.project}}' },
+        payload: { text: '{{env}} {{title}}', servers: '{{servers}}' }
+      }]
+    });
+
+    const retries = await sendWebhook(hook, event);
+
+    assert.equal(retries, 2);
+    assert.equal(sink.requests.length, 3);
+
+    const request = sink.requests[2];
+    assert.equal(request.url, '/deploy');
+    assert.equal(request.headers['x-deploy-event'], 'success');
+    assert.equal(request.headers['x-project'], 'my-app');
+    assert.deepEqual(JSON.parse(request.body), { text: 'production 部署成功', servers: ['web-1', 'web-2'] });
+
+    const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(request.body).digest('hex')}`;
+    assert.equal(request.headers['x-deploy-signature'], expected);
+    assert.equal(signPayload('shh', request.body), expected);
+  });
+});
+
+describe('sendWebhook 失败', () => {
+  let sink;
+
+  before(async () => {
+    sink = await startHttpSink([400]);
+  });
+
+  after(async () => {
+    await sink.close();
+  });
+
+  test('4xx 不重试', async () => {
+    const [hook] = getWebhooks({ webhooks: [{ url: sink.url, retryDelay: 10, signatureHeader: 'X-Signature', secret: 's' }] });
+
+    await assert.rejects(sendWebhook(hook, event), /HTTP 400 error 400/);
+    assert.equal(sink.requests.length, 1);
+    assert.match(sink.requests[0].headers['x-signature'], /^sha256=[0-9a-f]{64}$/);
+    assert.deepEqual(JSON.parse(sink.requests[0].body), event);
+  });
+
+  test('重试次数用完后报错', async () => {
+    const [hook] = getWebhooks({ webhooks: [{ url: 'http://127.0.0.1:1', retries: 2, retryDelay: 10 }] });
+
+    await assert.rejects(sendWebhook(hook, event), /已重试 2 次/);
+  });
+});